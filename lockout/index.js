@@ -0,0 +1,118 @@
+// lockout/index.js
+const createMemoryStore = require("./stores/memory");
+
+// Counters are forgotten a day after the last failure
+const COUNTER_TTL_MS = 24 * 60 * 60 * 1000;
+
+let store = null;
+
+// Pick the store named by LOGIN_ATTEMPT_STORE, defaulting to memory
+const createStore = () => {
+  switch (process.env.LOGIN_ATTEMPT_STORE) {
+    case "mongo":
+      return require("./stores/mongo")();
+    case "memory":
+    case undefined:
+    case "":
+      return createMemoryStore();
+    default:
+      throw new Error(
+        `Unknown login attempt store: ${process.env.LOGIN_ATTEMPT_STORE}`
+      );
+  }
+};
+
+const getStore = () => {
+  if (!store) store = createStore();
+  return store;
+};
+
+/**
+ * Replace the failed-attempt store. A store implements async
+ * get(key), increment(key, ttlMs), lock(key, until) and reset(key).
+ */
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+// Failures that trigger a lockout, per scope
+const maxAttempts = (scope) =>
+  scope === "ip"
+    ? envInt("LOGIN_IP_MAX_ATTEMPTS", 20)
+    : envInt("LOGIN_MAX_ATTEMPTS", 5);
+
+// Lockout doubles with every further failure
+const lockoutMs = (scope, failures) => {
+  const excess = failures - maxAttempts(scope);
+  if (excess < 0) return 0;
+
+  const base = envInt("LOGIN_LOCKOUT_BASE_SECONDS", 30) * 1000;
+  const max = envInt("LOGIN_LOCKOUT_MAX_SECONDS", 3600) * 1000;
+  return Math.min(base * 2 ** excess, max);
+};
+
+const keysFor = ({ account, ip }) => {
+  const keys = [];
+  if (account) keys.push({ scope: "account", key: `account:${account}` });
+  if (ip) keys.push({ scope: "ip", key: `ip:${ip}` });
+  return keys;
+};
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+/**
+ * Check whether the account or IP is locked out.
+ * Returns { scope, retryAfter } for the first active lock, or null.
+ */
+const check = async (target) => {
+  for (const { scope, key } of keysFor(target)) {
+    const record = await getStore().get(key);
+
+    if (record && record.lockedUntil && record.lockedUntil > Date.now()) {
+      return { scope, retryAfter: secondsUntil(record.lockedUntil) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Count a failed attempt against the account and IP, locking either one
+ * that reached its maximum attempts. Returns the resulting lock like
+ * check() does.
+ */
+const recordFailure = async (target) => {
+  let result = null;
+
+  for (const { scope, key } of keysFor(target)) {
+    const record = await getStore().increment(key, COUNTER_TTL_MS);
+    const duration = lockoutMs(scope, record.failures);
+
+    if (duration > 0) {
+      const until = new Date(Date.now() + duration);
+      await getStore().lock(key, until);
+      result = result || { scope, retryAfter: secondsUntil(until) };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Clear the account counter after a successful login. The IP counter is
+ * left to expire, so that logging into one's own account cannot be used
+ * to keep guessing others' passwords from the same address.
+ */
+const reset = async ({ account }) => {
+  if (account) await getStore().reset(`account:${account}`);
+};
+
+module.exports = {
+  check,
+  recordFailure,
+  reset,
+  setStore,
+};
@@ -0,0 +1,49 @@
+// lockout/stores/memory.js
+
+/**
+ * In-memory failed-attempt store
+ * Counters live in this process only; use it for tests and single-instance
+ * deployments
+ */
+module.exports = () => {
+  const records = new Map();
+
+  const read = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const record = read(key);
+      return record
+        ? { failures: record.failures, lockedUntil: record.lockedUntil }
+        : null;
+    },
+
+    async increment(key, ttlMs) {
+      const record = read(key) || { failures: 0, lockedUntil: null };
+
+      record.failures += 1;
+      record.expiresAt = Date.now() + ttlMs;
+      records.set(key, record);
+
+      return { failures: record.failures, lockedUntil: record.lockedUntil };
+    },
+
+    async lock(key, until) {
+      const record = read(key);
+      if (record) record.lockedUntil = until;
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
@@ -0,0 +1,45 @@
+// lockout/stores/mongo.js
+const LoginAttempt = require("../../models/LoginAttempt");
+
+/**
+ * MongoDB failed-attempt store
+ * Counters are shared by every instance connected to the same database
+ */
+module.exports = () => ({
+  name: "mongo",
+
+  async get(key) {
+    const record = await LoginAttempt.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    });
+
+    return record
+      ? { failures: record.failures, lockedUntil: record.lockedUntil }
+      : null;
+  },
+
+  async increment(key, ttlMs) {
+    // Counters past their expiry start over (the TTL monitor is lazy)
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } });
+
+    const record = await LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { expiresAt: new Date(Date.now() + ttlMs) },
+      },
+      { upsert: true, new: true }
+    );
+
+    return { failures: record.failures, lockedUntil: record.lockedUntil };
+  },
+
+  async lock(key, until) {
+    await LoginAttempt.updateOne({ key }, { $set: { lockedUntil: until } });
+  },
+
+  async reset(key) {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
@@ -0,0 +1,52 @@
+// mail/index.js
+const createOutboxTransport = require("./transports/outbox");
+const templates = require("./templates");
+
+let transport = null;
+
+// Pick the transport named by MAIL_TRANSPORT, defaulting to the outbox
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      // Required lazily so the outbox works without nodemailer configured
+      return require("./transports/smtp")();
+    case "outbox":
+    case undefined:
+    case "":
+      return createOutboxTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${process.env.MAIL_TRANSPORT}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+/**
+ * Replace the mail transport, e.g. with a custom or in-memory one.
+ * A transport is any object with an async send(message) method.
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Render a template and send it to a user
+ */
+const sendTemplate = async (name, to, data) => {
+  const { subject, text } = templates[name](data);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@group-messaging.local",
+    to,
+    subject,
+    text,
+  });
+};
+
+module.exports = {
+  sendTemplate,
+  setTransport,
+};
@@ -0,0 +1,31 @@
+// mail/templates.js
+
+// Link into the client app, where the token is entered
+const clientLink = (pathname, token) => {
+  const base = process.env.CLIENT_URL || "http://localhost:3000";
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+exports.passwordReset = ({ user, token }) => ({
+  subject: "Reset your password",
+  text: [
+    `Hi ${user.username},`,
+    "",
+    "We received a request to reset your password. Use the link below to choose a new one:",
+    clientLink("/reset-password", token),
+    "",
+    "The link expires in one hour and can only be used once. If you did not request this, you can ignore this email.",
+  ].join("\n"),
+});
+
+exports.emailVerification = ({ user, token }) => ({
+  subject: "Verify your email address",
+  text: [
+    `Hi ${user.username},`,
+    "",
+    "Please confirm your email address by opening the link below:",
+    clientLink("/verify-email", token),
+    "",
+    "The link expires in 24 hours.",
+  ].join("\n"),
+});
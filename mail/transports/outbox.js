@@ -0,0 +1,33 @@
+// mail/transports/outbox.js
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Outbox mail transport
+ * Writes every message as a JSON file instead of sending it,
+ * so mail can be inspected offline and in tests
+ */
+module.exports = (options = {}) => {
+  const dir = path.resolve(
+    options.dir || process.env.MAIL_OUTBOX_DIR || "outbox"
+  );
+
+  return {
+    name: "outbox",
+
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const file = path.join(dir, `${id}.json`);
+
+      await fs.writeFile(
+        file,
+        JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2)
+      );
+
+      return { id, file };
+    },
+  };
+};
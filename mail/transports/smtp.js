@@ -0,0 +1,29 @@
+// mail/transports/smtp.js
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP mail transport
+ * Delivers messages through the SMTP server configured in the environment
+ */
+module.exports = (options = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT) || 587,
+    secure: (options.secure || process.env.SMTP_SECURE) === "true",
+    auth: process.env.SMTP_USER
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD,
+        }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
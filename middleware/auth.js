@@ -1,15 +1,94 @@
 // middleware/auth.js
-const jwt = require("jsonwebtoken");
+const tokenService = require("../utils/tokenService");
 const winston = require("winston");
+const Session = require("../models/Session");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
 const logger = winston.createLogger({
   transports: [new winston.transports.Console()],
 });
 
+// Thrown by authenticate() for tokens that verify but must be refused
+class AuthenticationError extends Error {
+  constructor(error, message) {
+    super(message);
+    this.name = "AuthenticationError";
+    this.error = error;
+  }
+}
+
+/**
+ * Resolve a bearer token to the identity it grants
+ * Accepts either a JWT, whose session must not have been revoked, or a
+ * personal access token. Shared by HTTP requests and socket handshakes.
+ */
+const authenticate = async (token) => {
+  // Personal access tokens carry their own scopes
+  if (PersonalAccessToken.isPersonalAccessToken(token)) {
+    const accessToken = await PersonalAccessToken.findOne({
+      tokenHash: PersonalAccessToken.hashToken(token),
+    });
+
+    if (!accessToken || !accessToken.isActive()) {
+      throw new AuthenticationError(
+        "Invalid token",
+        "The access token is invalid, expired or revoked"
+      );
+    }
+
+    accessToken
+      .touch()
+      .catch((error) => logger.error("Access token touch error:", error));
+
+    return {
+      userId: accessToken.userId.toString(),
+      authType: "token",
+      tokenScopes: accessToken.scopes,
+      accessTokenId: accessToken._id.toString(),
+    };
+  }
+
+  // Verify token
+  const decoded = await tokenService.verify(token);
+
+  // Reject tokens whose session was revoked (logout, reuse detection)
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+  if (
+    !session ||
+    !session.isActive() ||
+    session.userId.toString() !== decoded.userId
+  ) {
+    throw new AuthenticationError("Session revoked", "Please login again");
+  }
+
+  return {
+    userId: decoded.userId,
+    userEmail: decoded.email,
+    authType: "session",
+    sessionId: decoded.sid,
+    session,
+  };
+};
+
+/**
+ * Whether the session or access token a request authenticated with is
+ * still usable, for long-lived responses that outlive the handshake
+ */
+const isStillAuthenticated = async ({ sessionId, accessTokenId }) => {
+  if (accessTokenId) {
+    const accessToken = await PersonalAccessToken.findById(accessTokenId);
+    return Boolean(accessToken && accessToken.isActive());
+  }
+
+  const session = sessionId ? await Session.findById(sessionId) : null;
+  return Boolean(session && session.isActive());
+};
+
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user ID to request
+ * Authenticates the bearer token and attaches user ID to request
  */
-module.exports = async (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     // Extract token from Authorization header
     const authHeader = req.headers.authorization;
@@ -32,20 +111,34 @@ module.exports = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "your-secret-key"
-    );
+    const auth = await authenticate(token);
+
+    // Keep the session's last-seen time and address current
+    if (auth.session) {
+      auth.session
+        .touch({ ip: req.ip, userAgent: req.get("user-agent") })
+        .catch((error) => logger.error("Session touch error:", error));
+    }
 
     // Attach user ID to request
-    req.userId = decoded.userId;
-    req.userEmail = decoded.email;
+    req.userId = auth.userId;
+    req.userEmail = auth.userEmail;
+    req.sessionId = auth.sessionId;
+    req.authType = auth.authType;
+    req.tokenScopes = auth.tokenScopes;
+    req.accessTokenId = auth.accessTokenId;
 
-    logger.debug(`Authenticated request from user: ${decoded.email}`);
+    logger.debug(`Authenticated ${auth.authType} request from ${auth.userId}`);
 
     next();
   } catch (error) {
+    if (error.name === "AuthenticationError") {
+      return res.status(401).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
     if (error.name === "JsonWebTokenError") {
       return res.status(401).json({
         error: "Invalid token",
@@ -67,3 +160,7 @@ module.exports = async (req, res, next) => {
     });
   }
 };
+
+module.exports = authMiddleware;
+module.exports.authenticate = authenticate;
+module.exports.isStillAuthenticated = isStillAuthenticated;
@@ -0,0 +1,23 @@
+// middleware/requireScope.js
+
+/**
+ * Access token scope middleware
+ * Requests authenticated with a login session have full access. Requests
+ * authenticated with a personal access token need `<resource>:read` for
+ * GET requests and `<resource>:write` for everything else.
+ * Must run after the authentication middleware.
+ */
+module.exports = (resource) => (req, res, next) => {
+  if (req.authType !== "token") return next();
+
+  const scope = `${resource}:${req.method === "GET" ? "read" : "write"}`;
+
+  if (!req.tokenScopes.includes(scope)) {
+    return res.status(403).json({
+      error: "Insufficient scope",
+      message: `This access token needs the ${scope} scope`,
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,18 @@
+// middleware/requireSession.js
+
+/**
+ * Login session middleware
+ * Rejects personal access tokens on account management endpoints, which
+ * only a logged-in user may use.
+ * Must run after the authentication middleware.
+ */
+module.exports = (req, res, next) => {
+  if (req.authType === "token") {
+    return res.status(403).json({
+      error: "Login required",
+      message: "Access tokens cannot be used for this endpoint",
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,46 @@
+// middleware/requireVerifiedEmail.js
+const User = require("../models/User");
+const winston = require("winston");
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+/**
+ * Whether a user may post under the current verification policy
+ * Shared with the socket handlers.
+ */
+const canPost = async (userId) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") return true;
+
+  const user = await User.findById(userId).select("emailVerified type");
+
+  // Bots have no real address to verify
+  return Boolean(user && (user.emailVerified || user.isBot()));
+};
+
+/**
+ * Email verification middleware
+ * Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION is "true".
+ * Must run after the authentication middleware.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!(await canPost(req.userId))) {
+      return res.status(403).json({
+        error: "Email not verified",
+        message: "Please verify your email address to continue",
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error("Email verification middleware error:", error);
+    res.status(500).json({
+      error: "Email verification check failed",
+      message: error.message,
+    });
+  }
+};
+
+module.exports = requireVerifiedEmail;
+module.exports.canPost = canPost;
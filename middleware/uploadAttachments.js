@@ -0,0 +1,93 @@
+// middleware/uploadAttachments.js
+const multer = require("multer");
+const { contentMatchesType } = require("../utils/attachments");
+
+// Most files one message can carry
+const MAX_ATTACHMENTS = 5;
+
+// Types accepted unless ATTACHMENT_MIME_TYPES lists others
+const DEFAULT_MIME_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "application/zip",
+];
+
+const allowedTypes = () =>
+  process.env.ATTACHMENT_MIME_TYPES
+    ? process.env.ATTACHMENT_MIME_TYPES.split(",").map((type) => type.trim())
+    : DEFAULT_MIME_TYPES;
+
+const maxFileSize = () =>
+  parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+/**
+ * Attachment upload middleware
+ * Parses multipart/form-data bodies, keeping up to MAX_ATTACHMENTS files
+ * from the "files" field in memory as req.files and the text fields in
+ * req.body. Files whose content is not of their declared type are
+ * refused. JSON requests pass through untouched.
+ */
+module.exports = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize(),
+      files: MAX_ATTACHMENTS,
+    },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes().includes(file.mimetype)) {
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.code = "UNSUPPORTED_TYPE";
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  }).array("files", MAX_ATTACHMENTS);
+
+  upload(req, res, (error) => {
+    if (!error) {
+      // The declared type comes from the client; check it against the bytes
+      const mismatch = (req.files || []).find(
+        (file) => !contentMatchesType(file.buffer, file.mimetype)
+      );
+
+      if (mismatch) {
+        return res.status(415).json({
+          error: "Unsupported file type",
+          message: `${mismatch.originalname} is not a valid ${mismatch.mimetype} file`,
+        });
+      }
+
+      return next();
+    }
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: "File too large",
+        message: `Attachments can be at most ${maxFileSize()} bytes`,
+      });
+    }
+
+    if (error.code === "UNSUPPORTED_TYPE") {
+      return res.status(415).json({
+        error: "Unsupported file type",
+        message: error.message,
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: "Invalid upload",
+        message: error.message,
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
@@ -61,6 +61,20 @@ const groupSchema = new mongoose.Schema({
       },
     },
   ],
+  // Who may notify the whole group with @everyone
+  everyoneMentions: {
+    type: String,
+    enum: ["members", "owner", "nobody"],
+    default: "members",
+  },
+  // How long after sending messages can be edited; 0 disables editing
+  // and null lifts the limit
+  editWindowMinutes: {
+    type: Number,
+    default: 15,
+    min: 0,
+    max: 10080,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -99,4 +113,13 @@ groupSchema.methods.hasPendingRequest = function (userId) {
   );
 };
 
+// Check if user may mention @everyone
+groupSchema.methods.canMentionEveryone = function (userId) {
+  if (this.everyoneMentions === "nobody") return false;
+  if (this.everyoneMentions === "owner") {
+    return this.owner.toString() === userId.toString();
+  }
+  return true;
+};
+
 module.exports = mongoose.model("Group", groupSchema);
@@ -0,0 +1,27 @@
+// models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+const loginAttemptSchema = new mongoose.Schema({
+  // "account:<email>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Forget counters once they expire
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -1,5 +1,5 @@
 const mongoose = require("mongoose");
-const crypto = require("crypto");
+const encryption = require("../utils/encryption");
 
 const messageSchema = new mongoose.Schema({
   groupId: {
@@ -11,11 +11,104 @@ const messageSchema = new mongoose.Schema({
   senderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    required: function () {
+      return !this.senderDeleted;
+    },
+    index: true,
+  },
+  // Message this one replies to
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+  },
+  // First message of the thread; unset for messages outside threads
+  threadRootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+  },
+  // Kept on thread roots: live replies and the latest reply time
+  replyCount: {
+    type: Number,
+    default: 0,
   },
+  lastReplyAt: {
+    type: Date,
+  },
+  // One entry per user and emoji
+  reactions: [
+    {
+      emoji: {
+        type: String,
+        required: true,
+      },
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+      _id: false,
+    },
+  ],
+  // Set when the sender deleted their account and the message was kept
+  senderDeleted: {
+    type: Boolean,
+    default: false,
+  },
+  // Optional when the message carries attachments
   content: {
     type: String,
-    required: true,
+    required: function () {
+      return this.attachments.length === 0;
+    },
+  },
+  // Files encrypted in the storage driver; see utils/attachments.js
+  attachments: [
+    {
+      filename: {
+        type: String,
+        required: true,
+      },
+      mimeType: {
+        type: String,
+        required: true,
+      },
+      size: {
+        type: Number,
+        required: true,
+      },
+      storageKey: {
+        type: String,
+        required: true,
+      },
+      iv: {
+        type: String,
+        required: true,
+      },
+      // Images only
+      width: Number,
+      height: Number,
+      thumbnail: {
+        storageKey: String,
+        iv: String,
+        width: Number,
+        height: Number,
+      },
+    },
+  ],
+  // Members mentioned by @username (never the sender)
+  mentions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  mentionsEveryone: {
+    type: Boolean,
+    default: false,
   },
   encrypted: {
     type: Boolean,
@@ -44,40 +137,19 @@ const messageSchema = new mongoose.Schema({
   deletedAt: {
     type: Date,
   },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
 });
 
 // Encryption helper methods
 messageSchema.statics.encryptContent = function (content) {
-  const algorithm = "aes-128-cbc";
-  const key = Buffer.from(
-    process.env.ENCRYPTION_KEY || "defaultkey123456",
-    "utf8"
-  );
-  const iv = crypto.randomBytes(16);
-
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  let encrypted = cipher.update(content, "utf8", "hex");
-  encrypted += cipher.final("hex");
-
-  return {
-    encrypted: encrypted,
-    iv: iv.toString("hex"),
-  };
+  return encryption.encrypt(content);
 };
 
 messageSchema.statics.decryptContent = function (encryptedContent, iv) {
-  const algorithm = "aes-128-cbc";
-  const key = Buffer.from(
-    process.env.ENCRYPTION_KEY || "defaultkey123456",
-    "utf8"
-  );
-  const ivBuffer = Buffer.from(iv, "hex");
-
-  const decipher = crypto.createDecipheriv(algorithm, key, ivBuffer);
-  let decrypted = decipher.update(encryptedContent, "hex", "utf8");
-  decrypted += decipher.final("utf8");
-
-  return decrypted;
+  return encryption.decrypt(encryptedContent, iv);
 };
 
 // Encrypt content before saving
@@ -111,4 +183,14 @@ messageSchema.methods.getDecryptedContent = function () {
 // Create compound index for efficient queries
 messageSchema.index({ groupId: 1, timestamp: -1 });
 
+// Mentions feed
+messageSchema.index({ mentions: 1, timestamp: -1 });
+
+// Paging through a thread's replies
+messageSchema.index({ threadRootId: 1, timestamp: 1 }, { sparse: true });
+
+// Edits and deletions since a cursor, for replay on reconnect
+messageSchema.index({ groupId: 1, editedAt: 1 }, { sparse: true });
+messageSchema.index({ groupId: 1, deletedAt: 1 }, { sparse: true });
+
 module.exports = mongoose.model("Message", messageSchema);
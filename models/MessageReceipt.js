@@ -0,0 +1,57 @@
+// models/MessageReceipt.js
+const mongoose = require("mongoose");
+
+// One user's read receipt for one message
+const messageReceiptSchema = new mongoose.Schema({
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+    required: true,
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Group",
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  readAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Record receipts for messages of a group, keeping existing ones.
+ * Returns the ids of the messages that had no receipt yet.
+ */
+messageReceiptSchema.statics.record = async function (
+  userId,
+  groupId,
+  messageIds
+) {
+  if (messageIds.length === 0) return [];
+
+  const readAt = new Date();
+  const result = await this.bulkWrite(
+    messageIds.map((messageId) => ({
+      updateOne: {
+        filter: { messageId, userId },
+        update: { $setOnInsert: { messageId, userId, groupId, readAt } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return Object.keys(result.upsertedIds).map((index) => messageIds[index]);
+};
+
+messageReceiptSchema.index({ messageId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("MessageReceipt", messageReceiptSchema);
@@ -0,0 +1,80 @@
+// models/MessageRevision.js
+const mongoose = require("mongoose");
+const winston = require("winston");
+const encryption = require("../utils/encryption");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// A previous version of a message's content, kept encrypted
+const messageRevisionSchema = new mongoose.Schema({
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+    required: true,
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Group",
+    required: true,
+    index: true,
+  },
+  content: {
+    type: String,
+    required: true,
+  },
+  encrypted: {
+    type: Boolean,
+    default: true,
+  },
+  iv: {
+    type: String,
+  },
+  // User whose edit replaced this version
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // When this version was written, and when the edit replaced it
+  createdAt: {
+    type: Date,
+    required: true,
+  },
+  replacedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Keep the current content of a message before an edit replaces it.
+ * The stored ciphertext is copied as is.
+ */
+messageRevisionSchema.statics.record = function (message, editedBy) {
+  return this.create({
+    messageId: message._id,
+    groupId: message.groupId,
+    content: message.content,
+    encrypted: message.encrypted,
+    iv: message.iv,
+    editedBy,
+    createdAt: message.editedAt || message.timestamp,
+  });
+};
+
+messageRevisionSchema.methods.getDecryptedContent = function () {
+  if (!this.encrypted) return this.content;
+
+  try {
+    return encryption.decrypt(this.content, this.iv);
+  } catch (error) {
+    logger.error("Revision decryption error:", error);
+    return "[Decryption failed]";
+  }
+};
+
+// A message's versions in order
+messageRevisionSchema.index({ messageId: 1, createdAt: 1 });
+
+module.exports = mongoose.model("MessageRevision", messageRevisionSchema);
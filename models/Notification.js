@@ -0,0 +1,116 @@
+// models/Notification.js
+const mongoose = require("mongoose");
+const { userRoom } = require("../sockets/rooms");
+
+const TYPES = [
+  "join-approved",
+  "join-declined",
+  "banished",
+  "ownership-transferred",
+  "mention",
+];
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true,
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Group",
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+  },
+  // User whose action caused the notification
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationSchema.statics.TYPES = TYPES;
+
+// Client representation; group and actor should be populated
+notificationSchema.methods.toPayload = function () {
+  return {
+    id: this._id,
+    type: this.type,
+    group: this.groupId,
+    actor: this.actorId,
+    messageId: this.messageId,
+    read: Boolean(this.readAt),
+    readAt: this.readAt,
+    createdAt: this.createdAt,
+  };
+};
+
+/**
+ * Store a notification and push it to the recipient's sockets
+ */
+notificationSchema.statics.notify = async function (
+  io,
+  { userId, type, groupId, actorId, messageId }
+) {
+  const [notification] = await this.notifyMany(io, [userId], {
+    type,
+    groupId,
+    actorId,
+    messageId,
+  });
+
+  return notification;
+};
+
+/**
+ * Store the same notification for several users and push it to each
+ */
+notificationSchema.statics.notifyMany = async function (
+  io,
+  userIds,
+  { type, groupId, actorId, messageId }
+) {
+  if (userIds.length === 0) return [];
+
+  const notifications = await this.insertMany(
+    userIds.map((userId) => ({ userId, type, groupId, actorId, messageId }))
+  );
+
+  await this.populate(notifications, [
+    { path: "groupId", select: "name" },
+    { path: "actorId", select: "username" },
+  ]);
+
+  if (io) {
+    for (const notification of notifications) {
+      io.to(userRoom(notification.userId)).emit(
+        "notification",
+        notification.toPayload()
+      );
+    }
+  }
+
+  return notifications;
+};
+
+// Newest first per user, and unread lookups
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
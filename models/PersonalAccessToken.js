@@ -0,0 +1,116 @@
+// models/PersonalAccessToken.js
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Scopes a token can be granted; account management always needs a login
+const SCOPES = [
+  "groups:read",
+  "groups:write",
+  "messages:read",
+  "messages:write",
+];
+
+// Prefix that tells personal access tokens apart from JWTs
+const TOKEN_PREFIX = "gmp_";
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // User who created the token; differs from userId for bot tokens
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // First characters of the token, to recognise it in listings
+  tokenPrefix: {
+    type: String,
+  },
+  scopes: [
+    {
+      type: String,
+      enum: SCOPES,
+    },
+  ],
+  lastUsedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+personalAccessTokenSchema.statics.SCOPES = SCOPES;
+
+personalAccessTokenSchema.statics.isPersonalAccessToken = function (token) {
+  return token.startsWith(TOKEN_PREFIX);
+};
+
+personalAccessTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Create a token and return it with its plaintext value, shown only once
+personalAccessTokenSchema.statics.issue = async function ({
+  userId,
+  createdBy,
+  name,
+  scopes,
+  expiresInDays,
+}) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("hex");
+
+  const record = await this.create({
+    userId,
+    createdBy,
+    name,
+    scopes,
+    tokenHash: this.hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : undefined,
+  });
+
+  return { record, token };
+};
+
+// Check if token can still be used
+personalAccessTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Record usage, writing at most once a minute
+personalAccessTokenSchema.methods.touch = async function () {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < 60 * 1000) return;
+
+  this.lastUsedAt = new Date();
+  await this.save();
+};
+
+module.exports = mongoose.model(
+  "PersonalAccessToken",
+  personalAccessTokenSchema
+);
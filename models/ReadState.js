@@ -0,0 +1,61 @@
+// models/ReadState.js
+const mongoose = require("mongoose");
+
+// How far a user has read a group: every message up to lastReadAt
+const readStateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Group",
+    required: true,
+    index: true,
+  },
+  // Timestamp of the latest message read
+  lastReadAt: {
+    type: Date,
+    required: true,
+  },
+  lastReadMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+  },
+  // When the watermark last moved
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Move the user's watermark to a message, unless it is already past it.
+ * Returns the updated state, or null when nothing changed.
+ */
+readStateSchema.statics.advance = async function (userId, groupId, message) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        userId,
+        groupId,
+        lastReadAt: { $lt: message.timestamp },
+      },
+      {
+        lastReadAt: message.timestamp,
+        lastReadMessageId: message._id,
+        updatedAt: new Date(),
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collides with a state that is already further along
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+readStateSchema.index({ userId: 1, groupId: 1 }, { unique: true });
+
+module.exports = mongoose.model("ReadState", readStateSchema);
@@ -0,0 +1,190 @@
+// models/Session.js
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Hashes of refresh tokens already rotated out of this session.
+  // Presenting one of them again means the token was stolen or replayed.
+  previousTokenHashes: {
+    type: [String],
+    index: true,
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: "Unknown device",
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Update timestamp on save
+sessionSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Refresh token helper methods
+sessionSchema.statics.generateRefreshToken = function () {
+  return crypto.randomBytes(48).toString("hex");
+};
+
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+sessionSchema.statics.refreshTokenTtlMs = function () {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Start a new session and return it with its plaintext refresh token
+sessionSchema.statics.start = async function (userId, client = {}) {
+  const refreshToken = this.generateRefreshToken();
+
+  const session = await this.create({
+    userId,
+    refreshTokenHash: this.hashToken(refreshToken),
+    device: client.device || undefined,
+    ip: client.ip,
+    userAgent: client.userAgent,
+    expiresAt: new Date(Date.now() + this.refreshTokenTtlMs()),
+  });
+
+  return { session, refreshToken };
+};
+
+// Revoke every active session of a user, optionally sparing one
+sessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason,
+  exceptSessionId
+) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const sessions = await this.find(query);
+  for (const session of sessions) {
+    await session.revoke(reason);
+  }
+
+  return sessions;
+};
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Record client activity, writing at most once a minute
+sessionSchema.methods.touch = async function (client = {}) {
+  const stale = Date.now() - this.lastSeenAt > 60 * 1000;
+  const moved = client.ip && client.ip !== this.ip;
+
+  if (!stale && !moved) return;
+
+  this.lastSeenAt = new Date();
+  if (client.ip) this.ip = client.ip;
+  if (client.userAgent) this.userAgent = client.userAgent;
+  await this.save();
+};
+
+// Replace the current refresh token with a fresh one. The swap only
+// happens if the token is still the current one, so of two concurrent
+// rotations of the same token one gets null, which means reuse.
+sessionSchema.methods.rotate = async function (client = {}) {
+  const Session = this.constructor;
+  const refreshToken = Session.generateRefreshToken();
+
+  const update = {
+    refreshTokenHash: Session.hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + Session.refreshTokenTtlMs()),
+    lastSeenAt: new Date(),
+    updatedAt: new Date(),
+  };
+  if (client.ip) update.ip = client.ip;
+  if (client.userAgent) update.userAgent = client.userAgent;
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    {
+      $set: update,
+      $push: { previousTokenHashes: this.refreshTokenHash },
+    },
+    { new: true }
+  );
+
+  if (!rotated) return null;
+
+  this.set(rotated.toObject());
+  return refreshToken;
+};
+
+// Revoke session so neither its refresh nor access tokens are accepted
+sessionSchema.methods.revoke = async function (reason) {
+  if (this.revokedAt) return;
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+// Socket.io room holding every socket opened with this session
+sessionSchema.statics.socketRoom = function (sessionId) {
+  return `session:${sessionId}`;
+};
+
+// Tell sockets opened with this session it was revoked, then drop them
+sessionSchema.methods.disconnectSockets = function (io) {
+  if (!io) return;
+
+  const room = this.constructor.socketRoom(this._id);
+  io.to(room).emit("session-revoked", {
+    sessionId: this._id,
+    reason: this.revokedReason,
+  });
+  io.in(room).disconnectSockets(true);
+};
+
+// Remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,6 +1,9 @@
 // models/User.js
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const encryption = require("../utils/encryption");
+const totp = require("../utils/totp");
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -16,6 +19,26 @@ const userSchema = new mongoose.Schema({
       message: "Invalid email format",
     },
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  // New address awaiting verification before it replaces email
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    index: true,
+  },
+  emailVerificationExpires: {
+    type: Date,
+  },
   password: {
     type: String,
     required: true,
@@ -27,6 +50,94 @@ const userSchema = new mongoose.Schema({
     unique: true,
     trim: true,
   },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  avatarUrl: {
+    type: String,
+    trim: true,
+    maxlength: 2048,
+    validate: {
+      validator: function (v) {
+        return !v || /^https?:\/\/\S+$/.test(v);
+      },
+      message: "Avatar URL must be an http(s) URL",
+    },
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  statusText: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  // When the user's last socket disconnected (or their latest connection)
+  lastSeenAt: {
+    type: Date,
+  },
+  privacy: {
+    // Who can see the profile beyond the username
+    profileVisibility: {
+      type: String,
+      enum: ["everyone", "group-members", "nobody"],
+      default: "everyone",
+    },
+    showEmail: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // Bots are service accounts that authenticate with access tokens only
+  type: {
+    type: String,
+    enum: ["user", "bot"],
+    default: "user",
+  },
+  botOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    index: true,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  passwordResetTokenHash: {
+    type: String,
+    index: true,
+  },
+  passwordResetExpires: {
+    type: Date,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  // TOTP secret, encrypted at rest; set on enrollment, before confirmation
+  twoFactorSecret: {
+    type: String,
+  },
+  twoFactorSecretIv: {
+    type: String,
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+  },
+  twoFactorRecoveryCodes: [
+    {
+      codeHash: {
+        type: String,
+      },
+      usedAt: {
+        type: Date,
+      },
+    },
+  ],
   groups: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -70,6 +181,7 @@ userSchema.pre("save", async function (next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -81,6 +193,124 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Hash a single-use token before storing it
+userSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate a password reset token, valid for one hour
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetTokenHash = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+
+  return token;
+};
+
+// Generate an email verification token, valid for 24 hours
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationTokenHash = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Mark the email address as verified and consume the token. A pending
+// email change takes effect here.
+userSchema.methods.markEmailVerified = function () {
+  if (this.pendingEmail) {
+    this.email = this.pendingEmail;
+    this.pendingEmail = undefined;
+  }
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationTokenHash = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Mark the current address as verified without applying a pending
+// email change, e.g. after a password reset link sent to it was used
+userSchema.methods.markCurrentEmailVerified = function () {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+};
+
+// Start two-factor enrollment with a fresh secret, returned in base32
+userSchema.methods.setTwoFactorSecret = function () {
+  const secret = totp.generateSecret();
+  const { encrypted, iv } = encryption.encrypt(secret);
+
+  this.twoFactorSecret = encrypted;
+  this.twoFactorSecretIv = iv;
+  this.twoFactorLastStep = undefined;
+
+  return secret;
+};
+
+// Check a TOTP code, rejecting codes that were already used
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactorSecret) return false;
+
+  const secret = encryption.decrypt(
+    this.twoFactorSecret,
+    this.twoFactorSecretIv
+  );
+  const step = totp.verify(secret, code);
+
+  if (step === null || step <= (this.twoFactorLastStep || 0)) return false;
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Replace recovery codes, returning the new plaintext codes once
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map((code) => ({
+    codeHash: this.constructor.hashToken(code),
+  }));
+
+  return codes;
+};
+
+// Consume a single-use recovery code
+userSchema.methods.useRecoveryCode = function (code) {
+  const codeHash = this.constructor.hashToken(
+    String(code || "")
+      .trim()
+      .toLowerCase()
+  );
+  const record = this.twoFactorRecoveryCodes.find(
+    (rc) => rc.codeHash === codeHash && !rc.usedAt
+  );
+
+  if (!record) return false;
+
+  record.usedAt = new Date();
+  return true;
+};
+
+// Turn two-factor authentication off and forget its secrets
+userSchema.methods.disableTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorSecretIv = undefined;
+  this.twoFactorLastStep = undefined;
+  this.twoFactorRecoveryCodes = [];
+};
+
+// Check if account is a bot
+userSchema.methods.isBot = function () {
+  return this.type === "bot";
+};
+
 // Check if user can rejoin private group (48 hour cooldown)
 userSchema.methods.canRejoinPrivateGroup = function (groupId) {
   const leftRecord = this.leftGroups.find(
@@ -1,14 +1,114 @@
 // routes/auth.js
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const router = express.Router();
 const User = require("../models/User");
+const Session = require("../models/Session");
+const authMiddleware = require("../middleware/auth");
+const requireSession = require("../middleware/requireSession");
+const mail = require("../mail");
+const totp = require("../utils/totp");
+const lockout = require("../lockout");
+const tokenService = require("../utils/tokenService");
 const winston = require("winston");
 
 const logger = winston.createLogger({
   transports: [new winston.transports.Console()],
 });
 
+// Account endpoints need a logged-in user, not a personal access token
+const authenticated = [authMiddleware, requireSession];
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (user, session) =>
+  tokenService.sign(
+    {
+      userId: user._id.toString(),
+      email: user.email,
+      sid: session._id.toString(),
+    },
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || "15m" }
+  );
+
+// Revoke a session whose refresh token was presented after rotation
+const rejectReusedToken = async (req, res, session) => {
+  await session.revoke("refresh token reuse");
+  session.disconnectSockets(req.app.get("io"));
+
+  logger.warn(
+    `Refresh token reuse detected, session ${session._id} of user ${session.userId} revoked`
+  );
+
+  return res.status(401).json({
+    error: "Refresh token reused",
+    message: "This session has been revoked, please login again",
+  });
+};
+
+// Token type of 2FA challenges, which access token checks reject
+const CHALLENGE_TOKEN_TYPE = "2fa+jwt";
+
+// Sign the short-lived token that stands in for a login until the
+// second factor is verified. It has no session, so it is no access token.
+const signChallengeToken = (user) =>
+  tokenService.sign(
+    { userId: user._id.toString(), purpose: "2fa" },
+    { expiresIn: "5m", typ: CHALLENGE_TOKEN_TYPE }
+  );
+
+// Reject a login attempt while the account or IP is locked out
+const sendLockout = (res, lock) => {
+  res.set("Retry-After", String(lock.retryAfter));
+
+  if (lock.scope === "account") {
+    return res.status(429).json({
+      error: "Account locked",
+      message:
+        "Too many failed login attempts for this account, try again later",
+      retryAfter: lock.retryAfter,
+    });
+  }
+
+  return res.status(429).json({
+    error: "Too many attempts",
+    message: "Too many failed login attempts from this address, try again later",
+    retryAfter: lock.retryAfter,
+  });
+};
+
+// Describe the client a request comes from, for session tracking
+const clientInfo = (req) => ({
+  device: req.body.device,
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
+// Send the email verification link, to the new address during an email
+// change; failures are logged, not fatal
+const sendVerificationEmail = async (user, token) => {
+  try {
+    await mail.sendTemplate(
+      "emailVerification",
+      user.pendingEmail || user.email,
+      { user, token }
+    );
+  } catch (error) {
+    logger.error("Verification mail error:", error);
+  }
+};
+
+// Start a new session and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(
+    user._id,
+    clientInfo(req)
+  );
+
+  return {
+    token: await signAccessToken(user, session),
+    refreshToken,
+  };
+};
+
 /**
  * @openapi
  * /auth/register:
@@ -35,6 +135,9 @@ const logger = winston.createLogger({
  *                 minLength: 6
  *               username:
  *                 type: string
+ *               device:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -47,6 +150,8 @@ const logger = winston.createLogger({
  *                   type: string
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
@@ -104,24 +209,26 @@ router.post("/register", async (req, res) => {
       username,
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "7d" }
-    );
+    await sendVerificationEmail(user, verificationToken);
+
+    // Start session and generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     logger.info(`New user registered: ${user.email}`);
 
     res.status(201).json({
       message: "User registered successfully",
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
         username: user.username,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
       },
     });
   } catch (error) {
@@ -155,9 +262,14 @@ router.post("/register", async (req, res) => {
  *                 format: email
  *               password:
  *                 type: string
+ *               device:
+ *                 type: string
+ *                 description: Name of the device, shown in the session list
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: >
+ *           Login successful, or a two-factor challenge when the user has
+ *           2FA enabled (complete it at /auth/2fa/verify)
  *         content:
  *           application/json:
  *             schema:
@@ -165,14 +277,29 @@ router.post("/register", async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                 challengeToken:
+ *                   type: string
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
- *         description: Missing credentials
+ *         description: Missing or invalid credentials
  *       401:
  *         description: Authentication failed
+ *       429:
+ *         description: >
+ *           Too many failed attempts. "Account locked" when the account is
+ *           locked, "Too many attempts" when the IP address is; the
+ *           Retry-After header gives the seconds to wait.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
  *       500:
  *         description: Login failed
  */
@@ -188,42 +315,70 @@ router.post("/login", async (req, res) => {
       });
     }
 
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res.status(400).json({
+        error: "Invalid credentials",
+        message: "Email and password must be strings",
+      });
+    }
+
+    // Refuse attempts while the account or IP is locked out
+    const attempt = { account: email.toLowerCase().trim(), ip: req.ip };
+    const activeLock = await lockout.check(attempt);
+
+    if (activeLock) {
+      return sendLockout(res, activeLock);
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
 
-    if (!user) {
+    // Check password; bots authenticate with access tokens only
+    const isPasswordValid =
+      user && !user.isBot() && (await user.comparePassword(password));
+
+    if (!isPasswordValid) {
+      const lock = await lockout.recordFailure(attempt);
+
+      if (lock) {
+        logger.warn(`Login locked out (${lock.scope}) for ${attempt.account}`);
+        return sendLockout(res, lock);
+      }
+
       return res.status(401).json({
         error: "Authentication failed",
         message: "Invalid email or password",
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    // Second factor required before a session is started
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for user ${user.email}`);
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        error: "Authentication failed",
-        message: "Invalid email or password",
+      return res.json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: await signChallengeToken(user),
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "7d" }
-    );
+    await lockout.reset(attempt);
+
+    // Start session and generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     logger.info(`User logged in: ${user.email}`);
 
     res.json({
       message: "Login successful",
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
         username: user.username,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
       },
     });
   } catch (error) {
@@ -273,10 +428,16 @@ router.get("/verify", async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "your-secret-key"
-    );
+    const decoded = await tokenService.verify(token);
+
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        valid: false,
+        error: "Session revoked",
+      });
+    }
 
     const user = await User.findById(decoded.userId).select("-password");
 
@@ -292,6 +453,8 @@ router.get("/verify", async (req, res) => {
         id: user._id,
         email: user.email,
         username: user.username,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
       },
     });
   } catch (error) {
@@ -315,16 +478,1173 @@ router.get("/verify", async (req, res) => {
 
 /**
  * @openapi
- * components:
- *   schemas:
- *     User:
- *       type: object
- *       properties:
- *         id:
- *           type: string
- *         email:
- *           type: string
- *         username:
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single use. Each call rotates the refresh token;
+ *       presenting a refresh token that was already rotated revokes the
+ *       whole session.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       500:
+ *         description: Token refresh failed
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: "Missing refresh token",
+      });
+    }
+
+    const tokenHash = Session.hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being presented again means it was leaked
+      const compromised = await Session.findOne({
+        previousTokenHashes: tokenHash,
+      });
+
+      if (compromised) {
+        return rejectReusedToken(req, res, compromised);
+      }
+
+      return res.status(401).json({
+        error: "Invalid refresh token",
+      });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({
+        error: "Session expired",
+        message: "Please login again",
+      });
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user) {
+      await session.revoke("user not found");
+      return res.status(401).json({
+        error: "Invalid refresh token",
+      });
+    }
+
+    const newRefreshToken = await session.rotate(clientInfo(req));
+
+    // Another request rotated the same token first
+    if (!newRefreshToken) {
+      return rejectReusedToken(req, res, session);
+    }
+
+    logger.debug(`Session ${session._id} refreshed for user ${user.email}`);
+
+    res.json({
+      token: await signAccessToken(user, session),
+      refreshToken: newRefreshToken,
+    });
+  } catch (error) {
+    logger.error("Token refresh error:", error);
+    res.status(500).json({
+      error: "Token refresh failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/logout:
+ *   post:
+ *     summary: Logout and revoke the session of a refresh token
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Missing refresh token
+ *       500:
+ *         description: Logout failed
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: "Missing refresh token",
+      });
+    }
+
+    const session = await Session.findOne({
+      refreshTokenHash: Session.hashToken(refreshToken),
+    });
+
+    // Logging out an unknown or already revoked session is a no-op
+    if (session) {
+      await session.revoke("logout");
+      session.disconnectSockets(req.app.get("io"));
+      logger.info(`User ${session.userId} logged out of session ${session._id}`);
+    }
+
+    res.json({
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    logger.error("Logout error:", error);
+    res.status(500).json({
+      error: "Logout failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login challenge
+ *     description: >
+ *       Accepts either a current TOTP code or one of the single-use
+ *       recovery codes.
+ *     tags:
+ *       - Two-factor authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *               device:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Missing challenge token or code
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       429:
+ *         description: Too many failed attempts, see Retry-After
+ *       500:
+ *         description: Two-factor verification failed
+ */
+router.post("/2fa/verify", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        message: "Challenge token and a code or recovery code are required",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await tokenService.verify(challengeToken, {
+        typ: CHALLENGE_TOKEN_TYPE,
+      });
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== "2fa") {
+      return res.status(401).json({
+        error: "Invalid challenge",
+        message: "Please login again",
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        error: "Invalid challenge",
+        message: "Please login again",
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const attempt = { account: user.email, ip: req.ip };
+    const activeLock = await lockout.check(attempt);
+
+    if (activeLock) {
+      return sendLockout(res, activeLock);
+    }
+
+    const valid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!valid) {
+      const lock = await lockout.recordFailure(attempt);
+
+      if (lock) {
+        logger.warn(`Two-factor locked out (${lock.scope}) for ${user.email}`);
+        return sendLockout(res, lock);
+      }
+
+      return res.status(401).json({
+        error: "Authentication failed",
+        message: "Invalid two-factor code",
+      });
+    }
+
+    await user.save();
+    await lockout.reset(attempt);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    logger.info(
+      `User logged in with ${code ? "TOTP code" : "recovery code"}: ${user.email}`
+    );
+
+    res.json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        email: user.email,
+        username: user.username,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+      },
+    });
+  } catch (error) {
+    logger.error("Two-factor verification error:", error);
+    res.status(500).json({
+      error: "Two-factor verification failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Generates a new TOTP secret. Add it to an authenticator app (e.g. by
+ *       rendering the provisioning URI as a QR code), then confirm with a
+ *       first code at /auth/2fa/confirm.
+ *     tags:
+ *       - Two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to start two-factor enrollment
+ */
+router.post("/2fa/setup", authenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "Already enabled",
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = user.setTwoFactorSecret();
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: totp.provisioningUri({
+        secret,
+        account: user.email,
+        issuer: process.env.TOTP_ISSUER || "Group Messaging",
+      }),
+    });
+  } catch (error) {
+    logger.error("Two-factor setup error:", error);
+    res.status(500).json({
+      error: "Failed to start two-factor enrollment",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm enrollment with a first code and enable 2FA
+ *     description: >
+ *       Returns the recovery codes. They are shown only once; each can be
+ *       used a single time instead of a TOTP code.
+ *     tags:
+ *       - Two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing or invalid code, enrollment not started, or already enabled
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to enable two-factor authentication
+ */
+router.post("/2fa/confirm", authenticated, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: "Missing code",
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "Already enabled",
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        error: "Enrollment not started",
+        message: "Call /auth/2fa/setup first",
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({
+        error: "Invalid code",
+        message: "The code does not match, check your authenticator app",
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled for user ${user.email}`);
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    logger.error("Two-factor confirm error:", error);
+    res.status(500).json({
+      error: "Failed to enable two-factor authentication",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags:
+ *       - Two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current TOTP code
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Missing code or two-factor authentication not enabled
+ *       401:
+ *         description: Not authenticated or invalid code
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many failed attempts, see Retry-After
+ *       500:
+ *         description: Failed to regenerate recovery codes
+ */
+router.post("/2fa/recovery-codes", authenticated, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: "Missing code",
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "Not enabled",
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    // Wrong codes count towards the same lockout as at login
+    const attempt = { account: user.email, ip: req.ip };
+    const activeLock = await lockout.check(attempt);
+
+    if (activeLock) {
+      return sendLockout(res, activeLock);
+    }
+
+    if (!user.verifyTwoFactorCode(code)) {
+      const lock = await lockout.recordFailure(attempt);
+
+      if (lock) {
+        logger.warn(`Two-factor locked out (${lock.scope}) for ${user.email}`);
+        return sendLockout(res, lock);
+      }
+
+      return res.status(401).json({
+        error: "Authentication failed",
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    await lockout.reset(attempt);
+
+    logger.info(`Recovery codes regenerated for user ${user.email}`);
+
+    res.json({
+      message: "Recovery codes regenerated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    logger.error("Recovery codes error:", error);
+    res.status(500).json({
+      error: "Failed to regenerate recovery codes",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags:
+ *       - Two-factor authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Missing fields or two-factor authentication not enabled
+ *       401:
+ *         description: Not authenticated, wrong password or invalid code
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many failed attempts, see Retry-After
+ *       500:
+ *         description: Failed to disable two-factor authentication
+ */
+router.post("/2fa/disable", authenticated, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        message: "Password and a code or recovery code are required",
+      });
+    }
+
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: "Not enabled",
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    // Wrong passwords and codes count towards the same lockout as at login
+    const attempt = { account: user.email, ip: req.ip };
+    const activeLock = await lockout.check(attempt);
+
+    if (activeLock) {
+      return sendLockout(res, activeLock);
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!isPasswordValid || !isCodeValid) {
+      const lock = await lockout.recordFailure(attempt);
+
+      if (lock) {
+        logger.warn(`Two-factor locked out (${lock.scope}) for ${user.email}`);
+        return sendLockout(res, lock);
+      }
+
+      return res.status(401).json({
+        error: "Authentication failed",
+        message: "Invalid password or two-factor code",
+      });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+    await lockout.reset(attempt);
+
+    logger.info(`Two-factor authentication disabled for user ${user.email}`);
+
+    res.json({
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    logger.error("Two-factor disable error:", error);
+    res.status(500).json({
+      error: "Failed to disable two-factor authentication",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: >
+ *       Always responds the same way, whether or not the email belongs
+ *       to an account.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Missing email
+ *       500:
+ *         description: Password reset request failed
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        error: "Missing email",
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await mail.sendTemplate("passwordReset", user.email, { user, token });
+        logger.info(`Password reset requested for user ${user.email}`);
+      } catch (mailError) {
+        logger.error("Password reset mail error:", mailError);
+      }
+    }
+
+    res.json({
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    logger.error("Forgot password error:", error);
+    res.status(500).json({
+      error: "Password reset request failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: >
+ *       The token is single use. All sessions of the user are revoked,
+ *       so existing access and refresh tokens stop working.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Missing fields, short password, or invalid or expired token
+ *       500:
+ *         description: Password reset failed
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        message: "Token and password are required",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        error: "Password too short",
+        message: "Password must be at least 6 characters",
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        error: "Invalid or expired token",
+        message: "Please request a new password reset link",
+      });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves the user controls the address
+    if (!user.emailVerified) user.markCurrentEmailVerified();
+    await user.save();
+
+    // Log out everywhere, the old password may have been compromised
+    const sessions = await Session.revokeAllForUser(
+      user._id,
+      "password reset"
+    );
+    sessions.forEach((session) => session.disconnectSockets(req.app.get("io")));
+
+    logger.info(`Password reset for user ${user.email}`);
+
+    res.json({
+      message: "Password reset successfully",
+    });
+  } catch (error) {
+    logger.error("Reset password error:", error);
+    res.status(500).json({
+      error: "Password reset failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the token from the verification email
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Missing, invalid or expired token
+ *       409:
+ *         description: New email address of an email change is taken
+ *       500:
+ *         description: Email verification failed
+ */
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: "Missing token",
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        error: "Invalid or expired token",
+        message: "Please request a new verification email",
+      });
+    }
+
+    // The new address of an email change may have been taken meanwhile
+    if (
+      user.pendingEmail &&
+      (await User.exists({ email: user.pendingEmail }))
+    ) {
+      return res.status(409).json({
+        error: "Email already registered",
+        message: "This email address now belongs to another account",
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    logger.info(`Email verified for user ${user.email}`);
+
+    res.json({
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    logger.error("Verify email error:", error);
+    res.status(500).json({
+      error: "Email verification failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link to the current user
+ *     description: >
+ *       During an email change the link goes to the new address.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to resend verification email
+ */
+router.post("/resend-verification", authenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        error: "Already verified",
+        message: "Your email address is already verified",
+      });
+    }
+
+    // Issuing a new token invalidates the previous link
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, token);
+
+    logger.info(`Verification email resent to ${user.email}`);
+
+    res.json({
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    logger.error("Resend verification error:", error);
+    res.status(500).json({
+      error: "Failed to resend verification email",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/sessions:
+ *   get:
+ *     summary: List the active sessions of the current user
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Failed to fetch sessions
+ */
+router.get("/sessions", authenticated, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort("-lastSeenAt");
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    logger.error("List sessions error:", error);
+    res.status(500).json({
+      error: "Failed to fetch sessions",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/sessions/revoke-others:
+ *   post:
+ *     summary: Revoke every session of the current user except this one
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Failed to revoke sessions
+ */
+router.post("/sessions/revoke-others", authenticated, async (req, res) => {
+  try {
+    const sessions = await Session.revokeAllForUser(
+      req.userId,
+      "revoked by user",
+      req.sessionId
+    );
+
+    sessions.forEach((session) => session.disconnectSockets(req.app.get("io")));
+
+    logger.info(
+      `User ${req.userId} revoked ${sessions.length} other sessions`
+    );
+
+    res.json({
+      message: "Other sessions revoked successfully",
+      revoked: sessions.length,
+    });
+  } catch (error) {
+    logger.error("Revoke other sessions error:", error);
+    res.status(500).json({
+      error: "Failed to revoke sessions",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one session of the current user
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Failed to revoke session
+ */
+router.delete("/sessions/:sessionId", authenticated, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      userId: req.userId,
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        error: "Session not found",
+      });
+    }
+
+    await session.revoke("revoked by user");
+    session.disconnectSockets(req.app.get("io"));
+
+    logger.info(`User ${req.userId} revoked session ${sessionId}`);
+
+    res.json({
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    logger.error("Revoke session error:", error);
+    res.status(500).json({
+      error: "Failed to revoke session",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         email:
+ *           type: string
+ *         username:
+ *           type: string
+ *         emailVerified:
+ *           type: boolean
+ *         twoFactorEnabled:
+ *           type: boolean
+ *         type:
+ *           type: string
+ *           enum: [user, bot]
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         device:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
  *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
  */
 module.exports = router;
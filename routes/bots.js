@@ -0,0 +1,220 @@
+// routes/bots.js
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const User = require("../models/User");
+const Group = require("../models/Group");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const requireSession = require("../middleware/requireSession");
+const { userRoom } = require("../sockets/rooms");
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Bots are managed by logged-in users only
+router.use(requireSession);
+
+const serializeBot = (bot) => ({
+  id: bot._id,
+  username: bot.username,
+  type: bot.type,
+  groups: bot.groups,
+  createdAt: bot.createdAt,
+});
+
+/**
+ * @openapi
+ * /bots:
+ *   post:
+ *     summary: Create a bot account
+ *     description: >
+ *       Bots cannot log in. Create personal access tokens for them with
+ *       POST /tokens and a botId, and add them to your groups with
+ *       POST /groups/{groupId}/bots.
+ *     tags:
+ *       - Bots
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Bot created successfully
+ *       400:
+ *         description: Missing username
+ *       403:
+ *         description: Login required
+ *       409:
+ *         description: Username already taken
+ *       500:
+ *         description: Failed to create bot
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { username } = req.body;
+    const userId = req.userId;
+
+    if (!username || username.trim().length === 0) {
+      return res.status(400).json({
+        error: "Missing username",
+      });
+    }
+
+    const existingUser = await User.findOne({ username: username.trim() });
+
+    if (existingUser) {
+      return res.status(409).json({
+        error: "User already exists",
+        message: "Username is already registered",
+      });
+    }
+
+    // Bots get an undeliverable address and a password nobody knows
+    const bot = new User({
+      username: username.trim(),
+      email: `bot-${crypto.randomBytes(8).toString("hex")}@bots.invalid`,
+      password: crypto.randomBytes(32).toString("hex"),
+      type: "bot",
+      botOwner: userId,
+    });
+
+    await bot.save();
+
+    logger.info(`Bot ${bot.username} created by user ${userId}`);
+
+    res.status(201).json({
+      message: "Bot created successfully",
+      bot: serializeBot(bot),
+    });
+  } catch (error) {
+    logger.error("Create bot error:", error);
+    res.status(500).json({
+      error: "Failed to create bot",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /bots:
+ *   get:
+ *     summary: List your bots
+ *     tags:
+ *       - Bots
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of bots
+ *       403:
+ *         description: Login required
+ *       500:
+ *         description: Failed to fetch bots
+ */
+router.get("/", async (req, res) => {
+  try {
+    const bots = await User.find({ type: "bot", botOwner: req.userId }).sort(
+      "-createdAt"
+    );
+
+    res.json({
+      bots: bots.map(serializeBot),
+    });
+  } catch (error) {
+    logger.error("List bots error:", error);
+    res.status(500).json({
+      error: "Failed to fetch bots",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /bots/{botId}:
+ *   delete:
+ *     summary: Delete a bot, revoking its tokens and removing it from its groups
+ *     tags:
+ *       - Bots
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bot deleted successfully
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: Bot not found
+ *       500:
+ *         description: Failed to delete bot
+ */
+router.delete("/:botId", async (req, res) => {
+  try {
+    const { botId } = req.params;
+    const userId = req.userId;
+
+    const bot = await User.findOne({
+      _id: botId,
+      type: "bot",
+      botOwner: userId,
+    });
+
+    if (!bot) {
+      return res.status(404).json({
+        error: "Bot not found",
+      });
+    }
+
+    // Revoke all tokens of the bot
+    await PersonalAccessToken.updateMany(
+      { userId: bot._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    // Remove bot from all groups
+    await Group.updateMany(
+      { members: bot._id },
+      { $pull: { members: bot._id } }
+    );
+
+    await bot.deleteOne();
+
+    // Drop the bot's open sockets
+    const io = req.app.get("io");
+    if (io) {
+      io.in(userRoom(bot._id)).disconnectSockets(true);
+    }
+
+    logger.info(`Bot ${botId} deleted by user ${userId}`);
+
+    res.json({
+      message: "Bot deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Delete bot error:", error);
+    res.status(500).json({
+      error: "Failed to delete bot",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -3,13 +3,31 @@ const express = require("express");
 const router = express.Router();
 const Group = require("../models/Group");
 const User = require("../models/User");
+const Notification = require("../models/Notification");
 const Message = require("../models/Message");
+const ReadState = require("../models/ReadState");
+const MessageReceipt = require("../models/MessageReceipt");
+const MessageRevision = require("../models/MessageRevision");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+const { evictFromGroup, groupRoom } = require("../sockets/rooms");
+const { getPresence } = require("../sockets/presence");
+const { removeMessageAttachments } = require("../utils/attachments");
 const winston = require("winston");
 
 const logger = winston.createLogger({
   transports: [new winston.transports.Console()],
 });
 
+// Notify a user of an action on a group without failing the request
+const notify = (req, userId, type, groupId) => {
+  Notification.notify(req.app.get("io"), {
+    userId,
+    type,
+    groupId,
+    actorId: req.userId,
+  }).catch((error) => logger.error("Notification error:", error));
+};
+
 /**
  * @openapi
  * /groups:
@@ -41,10 +59,12 @@ const logger = winston.createLogger({
  *         description: Group created successfully
  *       400:
  *         description: Missing or invalid fields
+ *       403:
+ *         description: Email not verified
  *       500:
  *         description: Failed to create group
  */
-router.post("/", async (req, res) => {
+router.post("/", requireVerifiedEmail, async (req, res) => {
   try {
     const { name, type, maxMembers } = req.body;
     const userId = req.userId;
@@ -158,7 +178,7 @@ router.get("/", async (req, res) => {
 
     const groups = await Group.find(query)
       .populate("owner", "username email")
-      .populate("members", "username email")
+      .populate("members", "username email type")
       .sort("-createdAt");
 
     res.json({
@@ -197,6 +217,11 @@ router.get("/", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: includePresence
+ *         schema:
+ *           type: boolean
+ *         description: Add each member's presence (members only)
  *     responses:
  *       200:
  *         description: Group details
@@ -212,9 +237,16 @@ router.get("/:groupId", async (req, res) => {
     const { groupId } = req.params;
     const userId = req.userId;
 
+    const includePresence = req.query.includePresence === "true";
+
     const group = await Group.findById(groupId)
       .populate("owner", "username email")
-      .populate("members", "username email")
+      .populate(
+        "members",
+        includePresence
+          ? "username email type lastSeenAt"
+          : "username email type"
+      )
       .populate("joinRequests.userId", "username email");
 
     if (!group) {
@@ -223,23 +255,48 @@ router.get("/:groupId", async (req, res) => {
       });
     }
 
+    // Members are populated, so compare their ids
+    const isMember = group.members.some(
+      (member) => member._id.toString() === userId
+    );
+
     // Check if user is member or group is public
-    if (group.type === "private" && !group.isMember(userId)) {
+    if (group.type === "private" && !isMember) {
       return res.status(403).json({
         error: "Access denied",
         message: "You must be a member to view this private group",
       });
     }
 
+    let members = group.members;
+
+    // Presence is only shared with fellow members
+    if (includePresence && isMember) {
+      const presence = await getPresence(
+        req.app.get("io"),
+        members.map((member) => member._id)
+      );
+
+      members = members.map((member) => ({
+        ...member.toObject(),
+        presence: {
+          status: presence.get(member._id.toString()),
+          lastSeenAt: member.lastSeenAt,
+        },
+      }));
+    }
+
     res.json({
       group: {
         id: group._id,
         name: group.name,
         type: group.type,
         owner: group.owner,
-        members: group.members,
+        members,
         maxMembers: group.maxMembers,
-        isMember: group.isMember(userId),
+        everyoneMentions: group.everyoneMentions,
+        editWindowMinutes: group.editWindowMinutes,
+        isMember,
         isOwner: group.owner._id.toString() === userId,
         joinRequests:
           group.owner._id.toString() === userId ? group.joinRequests : [],
@@ -306,6 +363,14 @@ router.post("/:groupId/join", async (req, res) => {
       });
     }
 
+    // Bots join only when a group owner adds them
+    if (user.isBot()) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "Bots must be added to groups by the group owner",
+      });
+    }
+
     // Check if banned
     if (group.isBanned(userId)) {
       return res.status(403).json({
@@ -462,6 +527,9 @@ router.post("/:groupId/leave", async (req, res) => {
 
     await user.save();
 
+    // Stop real-time delivery to the user's open sockets
+    evictFromGroup(req.app.get("io"), userId, groupId, "left");
+
     logger.info(`User ${userId} left group ${groupId}`);
 
     res.json({
@@ -532,8 +600,12 @@ router.delete("/:groupId", async (req, res) => {
       });
     }
 
-    // Delete all messages in the group
+    // Delete all messages in the group, their files and read state
+    await removeMessageAttachments({ groupId });
     await Message.deleteMany({ groupId });
+    await MessageRevision.deleteMany({ groupId });
+    await ReadState.deleteMany({ groupId });
+    await MessageReceipt.deleteMany({ groupId });
 
     // Remove group from all users
     await User.updateMany({ groups: groupId }, { $pull: { groups: groupId } });
@@ -541,6 +613,13 @@ router.delete("/:groupId", async (req, res) => {
     // Delete the group
     await group.deleteOne();
 
+    // Close the group's room
+    const io = req.app.get("io");
+    if (io) {
+      io.to(groupRoom(groupId)).emit("group-deleted", { groupId });
+      io.in(groupRoom(groupId)).socketsLeave(groupRoom(groupId));
+    }
+
     logger.info(`Group ${groupId} deleted by owner ${userId}`);
 
     res.json({
@@ -585,7 +664,7 @@ router.delete("/:groupId", async (req, res) => {
  *       200:
  *         description: Ownership transferred successfully
  *       400:
- *         description: Invalid new owner
+ *         description: Invalid new owner (not a member, or a bot)
  *       403:
  *         description: Access denied
  *       404:
@@ -629,10 +708,22 @@ router.post("/:groupId/transfer", async (req, res) => {
       });
     }
 
+    // Bots cannot own groups
+    const newOwner = await User.findById(newOwnerId).select("type");
+
+    if (!newOwner || newOwner.isBot()) {
+      return res.status(400).json({
+        error: "Invalid new owner",
+        message: "New owner must be a member of the group who is not a bot",
+      });
+    }
+
     // Transfer ownership
     group.owner = newOwnerId;
     await group.save();
 
+    notify(req, newOwnerId, "ownership-transferred", groupId);
+
     logger.info(
       `Group ${groupId} ownership transferred from ${userId} to ${newOwnerId}`
     );
@@ -650,6 +741,123 @@ router.post("/:groupId/transfer", async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /groups/{groupId}/settings:
+ *   patch:
+ *     summary: Update group settings (owner only)
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               everyoneMentions:
+ *                 type: string
+ *                 enum: [members, owner, nobody]
+ *                 description: Who may mention @everyone
+ *               editWindowMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 0
+ *                 maximum: 10080
+ *                 description: >
+ *                   Minutes after sending that messages can be edited; 0
+ *                   disables editing, null removes the limit
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *       400:
+ *         description: Invalid settings
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Failed to update settings
+ */
+router.patch("/:groupId/settings", async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { everyoneMentions, editWindowMinutes } = req.body;
+    const userId = req.userId;
+
+    const group = await Group.findById(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        error: "Group not found",
+      });
+    }
+
+    // Check if user is owner
+    if (group.owner.toString() !== userId) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "Only the group owner can change settings",
+      });
+    }
+
+    if (everyoneMentions !== undefined) {
+      const allowed = Group.schema.path("everyoneMentions").enumValues;
+      if (!allowed.includes(everyoneMentions)) {
+        return res.status(400).json({
+          error: "Invalid settings",
+          message: `everyoneMentions must be one of: ${allowed.join(", ")}`,
+        });
+      }
+      group.everyoneMentions = everyoneMentions;
+    }
+
+    if (editWindowMinutes !== undefined) {
+      const { min, max } = Group.schema.path("editWindowMinutes").options;
+      if (
+        editWindowMinutes !== null &&
+        !(
+          Number.isInteger(editWindowMinutes) &&
+          editWindowMinutes >= min &&
+          editWindowMinutes <= max
+        )
+      ) {
+        return res.status(400).json({
+          error: "Invalid settings",
+          message: `editWindowMinutes must be null or a whole number from ${min} to ${max}`,
+        });
+      }
+      group.editWindowMinutes = editWindowMinutes;
+    }
+
+    await group.save();
+
+    logger.info(`Group ${groupId} settings updated by ${userId}`);
+
+    res.json({
+      message: "Settings updated successfully",
+      settings: {
+        everyoneMentions: group.everyoneMentions,
+        editWindowMinutes: group.editWindowMinutes,
+      },
+    });
+  } catch (error) {
+    logger.error("Update group settings error:", error);
+    res.status(500).json({
+      error: "Failed to update settings",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @openapi
  * /groups/{groupId}/banish:
@@ -761,6 +969,9 @@ router.post("/:groupId/banish", async (req, res) => {
 
     await targetUser.save();
 
+    evictFromGroup(req.app.get("io"), targetUserId, groupId, "banished");
+    notify(req, targetUserId, "banished", groupId);
+
     logger.info(
       `User ${targetUserId} banished from group ${groupId} by ${userId}`
     );
@@ -777,6 +988,216 @@ router.post("/:groupId/banish", async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /groups/{groupId}/bots:
+ *   post:
+ *     summary: Add one of your bots to the group (owner only)
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - botId
+ *             properties:
+ *               botId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bot added successfully
+ *       400:
+ *         description: Already a member or group full
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Group or bot not found
+ *       500:
+ *         description: Failed to add bot
+ */
+router.post("/:groupId/bots", async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { botId } = req.body;
+    const userId = req.userId;
+
+    if (!botId) {
+      return res.status(400).json({
+        error: "Missing bot ID",
+      });
+    }
+
+    const group = await Group.findById(groupId);
+
+    if (!group) {
+      return res.status(404).json({
+        error: "Group not found",
+      });
+    }
+
+    // Check if user is owner
+    if (group.owner.toString() !== userId) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "Only the group owner can add bots",
+      });
+    }
+
+    // Owners can only add bots they own
+    const bot = await User.findOne({
+      _id: botId,
+      type: "bot",
+      botOwner: userId,
+    });
+
+    if (!bot) {
+      return res.status(404).json({
+        error: "Bot not found",
+      });
+    }
+
+    if (group.isMember(botId)) {
+      return res.status(400).json({
+        error: "Already a member",
+        message: "This bot is already a member of the group",
+      });
+    }
+
+    if (group.isBanned(botId)) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "This bot has been banned from the group",
+      });
+    }
+
+    // Check max members limit
+    if (group.maxMembers && group.members.length >= group.maxMembers) {
+      return res.status(400).json({
+        error: "Group full",
+        message: "This group has reached its maximum member limit",
+      });
+    }
+
+    group.members.push(bot._id);
+    await group.save();
+
+    bot.groups.push(groupId);
+    await bot.save();
+
+    logger.info(`Bot ${botId} added to group ${groupId} by ${userId}`);
+
+    res.json({
+      message: "Bot added successfully",
+    });
+  } catch (error) {
+    logger.error("Add bot error:", error);
+    res.status(500).json({
+      error: "Failed to add bot",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /groups/{groupId}/bots/{botId}:
+ *   delete:
+ *     summary: Remove a bot from the group (owner only)
+ *     tags:
+ *       - Groups
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: botId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bot removed successfully
+ *       400:
+ *         description: Bot is not a member
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Group or bot not found
+ *       500:
+ *         description: Failed to remove bot
+ */
+router.delete("/:groupId/bots/:botId", async (req, res) => {
+  try {
+    const { groupId, botId } = req.params;
+    const userId = req.userId;
+
+    const group = await Group.findById(groupId);
+    const bot = await User.findOne({ _id: botId, type: "bot" });
+
+    if (!group) {
+      return res.status(404).json({
+        error: "Group not found",
+      });
+    }
+
+    if (!bot) {
+      return res.status(404).json({
+        error: "Bot not found",
+      });
+    }
+
+    // Check if user is owner
+    if (group.owner.toString() !== userId) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "Only the group owner can remove bots",
+      });
+    }
+
+    if (!group.isMember(botId)) {
+      return res.status(400).json({
+        error: "Not a member",
+        message: "This bot is not a member of the group",
+      });
+    }
+
+    group.members = group.members.filter((m) => m.toString() !== botId);
+    await group.save();
+
+    bot.groups = bot.groups.filter((g) => g.toString() !== groupId);
+    await bot.save();
+
+    evictFromGroup(req.app.get("io"), botId, groupId, "removed");
+
+    logger.info(`Bot ${botId} removed from group ${groupId} by ${userId}`);
+
+    res.json({
+      message: "Bot removed successfully",
+    });
+  } catch (error) {
+    logger.error("Remove bot error:", error);
+    res.status(500).json({
+      error: "Failed to remove bot",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * @openapi
  * /groups/{groupId}/requests:
@@ -946,6 +1367,8 @@ router.post("/:groupId/approve", async (req, res) => {
       $push: { groups: groupId },
     });
 
+    notify(req, request.userId, "join-approved", groupId);
+
     logger.info(
       `Join request approved for user ${request.userId} in group ${groupId}`
     );
@@ -1047,6 +1470,8 @@ router.post("/:groupId/decline", async (req, res) => {
     request.status = "declined";
     await group.save();
 
+    notify(req, request.userId, "join-declined", groupId);
+
     logger.info(
       `Join request declined for user ${request.userId} in group ${groupId}`
     );
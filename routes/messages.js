@@ -1,14 +1,107 @@
 // routes/messages.js
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Message = require("../models/Message");
 const Group = require("../models/Group");
+const requireVerifiedEmail = require("../middleware/requireVerifiedEmail");
+const { isStillAuthenticated } = require("../middleware/auth");
+const uploadAttachments = require("../middleware/uploadAttachments");
+const {
+  summarizeReactions,
+  serializeMessage,
+  sendMessage,
+  editMessage,
+  getEditHistory,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  acknowledgeMessages,
+  getReadReceipts,
+  getThreadReplies,
+  replayEvents,
+} = require("../utils/messageService");
+const { subscribe } = require("../sockets/groupEvents");
+const { THUMBNAIL_TYPES, readAttachment } = require("../utils/attachments");
 const winston = require("winston");
 
 const logger = winston.createLogger({
   transports: [new winston.transports.Console()],
 });
 
+// Event streams get a keep-alive comment this often, and the reader's
+// membership is checked again
+const STREAM_HEARTBEAT_MS = 30000;
+
+// Write one Server-Sent Event; message events use their cursor as id
+const writeEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+
+  if (data.cursor) {
+    res.write(`id: ${new Date(data.cursor).toISOString()}\n`);
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Load the message a reply is posted under as req.parentMessage
+const findParentMessage = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+
+    req.parentMessage = mongoose.isValidObjectId(messageId)
+      ? await Message.findById(messageId).select("groupId")
+      : null;
+
+    if (!req.parentMessage) {
+      return res.status(404).json({
+        error: "Message not found",
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error("Find parent message error:", error);
+    res.status(500).json({
+      error: "Failed to send message",
+      message: error.message,
+    });
+  }
+};
+
+// Refuse non-members before any upload is read into memory
+const requireGroupMember = async (req, res, next) => {
+  try {
+    const groupId = req.parentMessage
+      ? req.parentMessage.groupId
+      : req.params.groupId;
+
+    const group = mongoose.isValidObjectId(groupId)
+      ? await Group.findById(groupId).select("members")
+      : null;
+
+    if (!group) {
+      return res.status(404).json({
+        error: "Group not found",
+      });
+    }
+
+    if (!group.isMember(req.userId)) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You must be a member to send messages",
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error("Group membership check error:", error);
+    res.status(500).json({
+      error: "Failed to send message",
+      message: error.message,
+    });
+  }
+};
+
 /**
  * @openapi
  * /messages/{groupId}:
@@ -35,29 +128,141 @@ const logger = winston.createLogger({
  *             properties:
  *               content:
  *                 type: string
+ *               replyTo:
+ *                 type: string
+ *                 description: ID of a message to reply to, in its thread
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Optional when files are attached
+ *               replyTo:
+ *                 type: string
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 5 attachments
  *     responses:
  *       201:
  *         description: Message sent successfully
  *       400:
- *         description: Missing content
+ *         description: Missing content or invalid upload
+ *       403:
+ *         description: Access denied, email not verified or @everyone not allowed
+ *       404:
+ *         description: Group or replied message not found
+ *       413:
+ *         description: Attachment too large
+ *       415:
+ *         description: Attachment type not allowed
+ *       500:
+ *         description: Failed to send message
+ */
+router.post(
+  "/:groupId",
+  requireVerifiedEmail,
+  requireGroupMember,
+  uploadAttachments,
+  async (req, res) => {
+    try {
+      const data = await sendMessage({
+        userId: req.userId,
+        groupId: req.params.groupId,
+        content: req.body.content,
+        replyTo: req.body.replyTo,
+        files: req.files,
+        io: req.app.get("io"),
+      });
+
+      res.status(201).json({
+        message: "Message sent successfully",
+        data,
+      });
+    } catch (error) {
+      if (error.name === "MessageError") {
+        return res.status(error.status).json({
+          error: error.error,
+          message: error.message,
+        });
+      }
+
+      logger.error("Send message error:", error);
+      res.status(500).json({
+        error: "Failed to send message",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /messages/{groupId}:
+ *   get:
+ *     summary: Get messages from a group
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Max number of messages to return
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Get messages before this timestamp
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Get messages after this timestamp
+ *       - in: query
+ *         name: collapseThreads
+ *         schema:
+ *           type: boolean
+ *         description: >
+ *           Leave out thread replies; thread roots still carry replyCount
+ *           and lastReplyAt
+ *     responses:
+ *       200:
+ *         description: List of messages
+ *       400:
+ *         description: Invalid before or after date
  *       403:
  *         description: Access denied
  *       404:
  *         description: Group not found
  *       500:
- *         description: Failed to send message
+ *         description: Failed to retrieve messages
  */
-router.post("/:groupId", async (req, res) => {
+router.get("/:groupId", async (req, res) => {
   try {
     const { groupId } = req.params;
-    const { content } = req.body;
     const userId = req.userId;
+    const { limit = 50, before, after, collapseThreads } = req.query;
 
-    // Validate input
-    if (!content || content.trim().length === 0) {
+    const invalidDate = [before, after].find(
+      (value) => value && isNaN(new Date(value))
+    );
+    if (invalidDate) {
       return res.status(400).json({
-        error: "Missing content",
-        message: "Message content is required",
+        error: "Invalid date",
+        message: "before and after must be dates",
       });
     }
 
@@ -74,53 +279,215 @@ router.post("/:groupId", async (req, res) => {
     if (!group.isMember(userId)) {
       return res.status(403).json({
         error: "Access denied",
-        message: "You must be a member to send messages",
+        message: "You must be a member to view messages",
       });
     }
 
-    // Create and save message (encryption happens in pre-save hook)
-    const message = new Message({
+    // Build query
+    let query = {
       groupId,
-      senderId: userId,
-      content: content.trim(),
-      encrypted: true,
+      deleted: false,
+    };
+
+    if (before) {
+      query.timestamp = { $lt: new Date(before) };
+    } else if (after) {
+      query.timestamp = { $gt: new Date(after) };
+    }
+
+    // Replies are read through their thread instead
+    if (collapseThreads === "true") {
+      query.threadRootId = null;
+    }
+
+    // Fetch messages
+    const messages = await Message.find(query)
+      .populate("senderId", "username email type")
+      .sort("-timestamp")
+      .limit(parseInt(limit));
+
+    // Decrypt messages
+    const decryptedMessages = messages.map((msg) =>
+      serializeMessage(msg, userId)
+    );
+
+    logger.debug(`Retrieved ${messages.length} messages from group ${groupId}`);
+
+    res.json({
+      messages: decryptedMessages.reverse(), // Return in chronological order
+      hasMore: messages.length === parseInt(limit),
+    });
+  } catch (error) {
+    logger.error("Get messages error:", error);
+    res.status(500).json({
+      error: "Failed to retrieve messages",
+      message: error.message,
     });
+  }
+});
 
-    await message.save();
+/**
+ * @openapi
+ * /messages/{groupId}/stream:
+ *   get:
+ *     summary: Stream a group's real-time events (Server-Sent Events)
+ *     description: >
+ *       For clients that cannot use WebSockets. Delivers new-message,
+ *       message-edited, message-deleted and messages-acknowledged events,
+ *       as the socket does. Message events carry their cursor as event id;
+ *       on reconnect, pass the last one as Last-Event-ID (or the
+ *       lastEventId query parameter) to first receive what was missed.
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Id of the last event received
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as Last-Event-ID, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: text/event-stream of the group's events
+ *       400:
+ *         description: Invalid Last-Event-ID
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Group not found
+ *       500:
+ *         description: Failed to open stream
+ */
+router.get("/:groupId/stream", async (req, res) => {
+  const { groupId } = req.params;
+  const userId = req.userId;
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (unsubscribe) unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  // Registered first so a client leaving mid-setup is never missed
+  req.on("close", close);
+
+  try {
+    // Check if group exists
+    const group = await Group.findById(groupId);
 
-    // Populate sender info
-    await message.populate("senderId", "username email");
+    if (closed) return;
 
-    // Emit to WebSocket if available
-    const io = req.app.get("io");
-    if (io) {
-      io.to(groupId.toString()).emit("new-message", {
-        id: message._id,
-        groupId: message.groupId,
-        sender: message.senderId,
-        content: message.getDecryptedContent(),
-        timestamp: message.timestamp,
+    if (!group) {
+      return res.status(404).json({
+        error: "Group not found",
       });
+    }
 
-      logger.debug(`WebSocket message emitted to group ${groupId}`);
+    // Check if user is a member
+    if (!group.isMember(userId)) {
+      return res.status(403).json({
+        error: "Access denied",
+        message: "You must be a member to view messages",
+      });
     }
 
-    logger.info(`Message sent to group ${groupId} by user ${userId}`);
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    const since = lastEventId ? new Date(lastEventId) : null;
+
+    if (since && isNaN(since)) {
+      return res.status(400).json({
+        error: "Invalid Last-Event-ID",
+        message: "Last-Event-ID must be the id of a previous event",
+      });
+    }
 
-    res.status(201).json({
-      message: "Message sent successfully",
-      data: {
-        id: message._id,
-        groupId: message.groupId,
-        sender: message.senderId,
-        content: message.getDecryptedContent(),
-        timestamp: message.timestamp,
-      },
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    // Hold live events back until the missed ones are written
+    let pending = [];
+    unsubscribe = subscribe(groupId, (event, data) => {
+      if (pending) pending.push({ event, data });
+      else writeEvent(res, event, data);
     });
+
+    let last = since;
+
+    if (since) {
+      const { events, truncated } = await replayEvents(groupId, since);
+
+      for (const { event, data } of events) {
+        writeEvent(res, event, { ...data, replayed: true });
+        last = data.cursor;
+      }
+
+      if (truncated) {
+        writeEvent(res, "replay-truncated", { groupId });
+      }
+    }
+
+    if (closed) return;
+
+    // Skip held events the replay already covered
+    for (const { event, data } of pending) {
+      if (!data.cursor || !last || new Date(data.cursor) > last) {
+        writeEvent(res, event, data);
+      }
+    }
+    pending = null;
+
+    // Keep proxies from closing the stream; end it once the session or
+    // token is revoked or the user is no longer a member
+    heartbeat = setInterval(async () => {
+      try {
+        if (!(await isStillAuthenticated(req))) {
+          writeEvent(res, "session-revoked", { sessionId: req.sessionId });
+          return close();
+        }
+
+        const isMember = await Group.exists({ _id: groupId, members: userId });
+
+        if (!isMember) {
+          writeEvent(res, "removed-from-group", { groupId });
+          return close();
+        }
+
+        res.write(": keep-alive\n\n");
+      } catch (error) {
+        logger.error("Message stream heartbeat error:", error);
+      }
+    }, STREAM_HEARTBEAT_MS);
+
+    logger.info(`User ${userId} opened an event stream for group ${groupId}`);
   } catch (error) {
-    logger.error("Send message error:", error);
+    logger.error("Message stream error:", error);
+
+    if (res.headersSent) return close();
+
     res.status(500).json({
-      error: "Failed to send message",
+      error: "Failed to open stream",
       message: error.message,
     });
   }
@@ -128,16 +495,112 @@ router.post("/:groupId", async (req, res) => {
 
 /**
  * @openapi
- * /messages/{groupId}:
+ * /messages/{messageId}/replies:
+ *   post:
+ *     summary: Reply to a message in its thread
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Optional when files are attached
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 5 attachments
+ *     responses:
+ *       201:
+ *         description: Reply sent successfully
+ *       400:
+ *         description: Missing content or invalid upload
+ *       403:
+ *         description: Access denied, email not verified or @everyone not allowed
+ *       404:
+ *         description: Message not found
+ *       413:
+ *         description: Attachment too large
+ *       415:
+ *         description: Attachment type not allowed
+ *       500:
+ *         description: Failed to send message
+ */
+router.post(
+  "/:messageId/replies",
+  requireVerifiedEmail,
+  findParentMessage,
+  requireGroupMember,
+  uploadAttachments,
+  async (req, res) => {
+    try {
+      const data = await sendMessage({
+        userId: req.userId,
+        groupId: req.parentMessage.groupId,
+        content: req.body.content,
+        replyTo: req.params.messageId,
+        files: req.files,
+        io: req.app.get("io"),
+      });
+
+      res.status(201).json({
+        message: "Reply sent successfully",
+        data,
+      });
+    } catch (error) {
+      if (error.name === "MessageError") {
+        return res.status(error.status).json({
+          error: error.error,
+          message: error.message,
+        });
+      }
+
+      logger.error("Send reply error:", error);
+      res.status(500).json({
+        error: "Failed to send message",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * @openapi
+ * /messages/{messageId}/replies:
  *   get:
- *     summary: Get messages from a group
+ *     summary: Get the replies of a message's thread
+ *     description: >
+ *       Works with the thread root or any reply in it. Replies come oldest
+ *       first; page with before or after.
  *     tags:
  *       - Messages
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: groupId
+ *         name: messageId
  *         required: true
  *         schema:
  *           type: string
@@ -145,91 +608,231 @@ router.post("/:groupId", async (req, res) => {
  *         name: limit
  *         schema:
  *           type: integer
- *         description: Max number of messages to return
+ *         description: Max number of replies to return
  *       - in: query
  *         name: before
  *         schema:
  *           type: string
  *           format: date-time
- *         description: Get messages before this timestamp
+ *         description: Get replies before this timestamp
  *       - in: query
  *         name: after
  *         schema:
  *           type: string
- *           format: date-time
- *         description: Get messages after this timestamp
+ *           format: date-time
+ *         description: Get replies after this timestamp
+ *     responses:
+ *       200:
+ *         description: Thread root and replies
+ *       400:
+ *         description: Invalid before or after date
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to retrieve replies
+ */
+router.get("/:messageId/replies", async (req, res) => {
+  try {
+    const { before, after } = req.query;
+
+    const thread = await getThreadReplies({
+      userId: req.userId,
+      messageId: req.params.messageId,
+      limit: parseInt(req.query.limit) || 50,
+      before,
+      after,
+    });
+
+    res.json(thread);
+  } catch (error) {
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("Get replies error:", error);
+    res.status(500).json({
+      error: "Failed to retrieve replies",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /messages/{messageId}:
+ *   put:
+ *     summary: Edit a message (sender only)
+ *     description: >
+ *       Allowed within the group's edit window (editWindowMinutes, 15 by
+ *       default). The previous content is kept in the message's history.
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Message edited successfully
+ *       400:
+ *         description: Missing content, editing disabled or time limit exceeded
+ *       403:
+ *         description: Access denied or @everyone not allowed
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to edit message
+ */
+router.put("/:messageId", async (req, res) => {
+  try {
+    const data = await editMessage({
+      userId: req.userId,
+      messageId: req.params.messageId,
+      content: req.body.content,
+      io: req.app.get("io"),
+    });
+
+    res.json({
+      message: "Message edited successfully",
+      data,
+    });
+  } catch (error) {
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("Edit message error:", error);
+    res.status(500).json({
+      error: "Failed to edit message",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /messages/{messageId}/history:
+ *   get:
+ *     summary: Get the edit history of a message (sender or group owner)
+ *     description: >
+ *       Every version of the message's content, oldest first; the last one
+ *       is the current content.
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions of the message
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to fetch edit history
+ */
+router.get("/:messageId/history", async (req, res) => {
+  try {
+    const history = await getEditHistory({
+      userId: req.userId,
+      messageId: req.params.messageId,
+    });
+
+    res.json(history);
+  } catch (error) {
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("Edit history error:", error);
+    res.status(500).json({
+      error: "Failed to fetch edit history",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /messages/{messageId}:
+ *   delete:
+ *     summary: Delete a message (soft delete, sender only)
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of messages
+ *         description: Message deleted successfully
+ *       400:
+ *         description: Already deleted
  *       403:
  *         description: Access denied
  *       404:
- *         description: Group not found
+ *         description: Message not found
  *       500:
- *         description: Failed to retrieve messages
+ *         description: Failed to delete message
  */
-router.get("/:groupId", async (req, res) => {
+router.delete("/:messageId", async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const userId = req.userId;
-    const { limit = 50, before, after } = req.query;
-
-    // Check if group exists
-    const group = await Group.findById(groupId);
-
-    if (!group) {
-      return res.status(404).json({
-        error: "Group not found",
-      });
-    }
-
-    // Check if user is a member
-    if (!group.isMember(userId)) {
-      return res.status(403).json({
-        error: "Access denied",
-        message: "You must be a member to view messages",
-      });
-    }
-
-    // Build query
-    let query = {
-      groupId,
-      deleted: false,
-    };
-
-    if (before) {
-      query.timestamp = { $lt: new Date(before) };
-    } else if (after) {
-      query.timestamp = { $gt: new Date(after) };
-    }
-
-    // Fetch messages
-    const messages = await Message.find(query)
-      .populate("senderId", "username email")
-      .sort("-timestamp")
-      .limit(parseInt(limit));
-
-    // Decrypt messages
-    const decryptedMessages = messages.map((msg) => ({
-      id: msg._id,
-      groupId: msg.groupId,
-      sender: msg.senderId,
-      content: msg.getDecryptedContent(),
-      timestamp: msg.timestamp,
-      edited: msg.edited,
-      editedAt: msg.editedAt,
-    }));
-
-    logger.debug(`Retrieved ${messages.length} messages from group ${groupId}`);
+    await deleteMessage({
+      userId: req.userId,
+      messageId: req.params.messageId,
+      io: req.app.get("io"),
+    });
 
     res.json({
-      messages: decryptedMessages.reverse(), // Return in chronological order
-      hasMore: messages.length === parseInt(limit),
+      message: "Message deleted successfully",
     });
   } catch (error) {
-    logger.error("Get messages error:", error);
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("Delete message error:", error);
     res.status(500).json({
-      error: "Failed to retrieve messages",
+      error: "Failed to delete message",
       message: error.message,
     });
   }
@@ -237,9 +840,10 @@ router.get("/:groupId", async (req, res) => {
 
 /**
  * @openapi
- * /messages/{messageId}:
- *   put:
- *     summary: Edit a message (sender only)
+ * /messages/{messageId}/reactions:
+ *   post:
+ *     summary: React to a message
+ *     description: Each user can react once with each emoji.
  *     tags:
  *       - Messages
  *     security:
@@ -257,109 +861,48 @@ router.get("/:groupId", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - content
+ *               - emoji
  *             properties:
- *               content:
+ *               emoji:
  *                 type: string
  *     responses:
+ *       201:
+ *         description: Reaction added
  *       200:
- *         description: Message edited successfully
+ *         description: Already reacted with this emoji
  *       400:
- *         description: Missing content or time limit exceeded
+ *         description: Invalid emoji
  *       403:
  *         description: Access denied
  *       404:
  *         description: Message not found
  *       500:
- *         description: Failed to edit message
+ *         description: Failed to add reaction
  */
-router.put("/:messageId", async (req, res) => {
+router.post("/:messageId/reactions", async (req, res) => {
   try {
-    const { messageId } = req.params;
-    const { content } = req.body;
-    const userId = req.userId;
-
-    // Validate input
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({
-        error: "Missing content",
-        message: "Message content is required",
-      });
-    }
-
-    // Find the message
-    const message = await Message.findById(messageId);
-
-    if (!message) {
-      return res.status(404).json({
-        error: "Message not found",
-      });
-    }
-
-    // Check if message is deleted
-    if (message.deleted) {
-      return res.status(400).json({
-        error: "Message deleted",
-        message: "Cannot edit a deleted message",
-      });
-    }
-
-    // Check if user is the sender
-    if (message.senderId.toString() !== userId) {
-      return res.status(403).json({
-        error: "Access denied",
-        message: "You can only edit your own messages",
-      });
-    }
-
-    // Check if editing within time limit (e.g., 15 minutes)
-    const minutesSinceSent = (Date.now() - message.timestamp) / (1000 * 60);
-    if (minutesSinceSent > 15) {
-      return res.status(400).json({
-        error: "Time limit exceeded",
-        message: "Messages can only be edited within 15 minutes of sending",
-      });
-    }
+    const { added, reactions } = await addReaction({
+      userId: req.userId,
+      messageId: req.params.messageId,
+      emoji: req.body.emoji,
+      io: req.app.get("io"),
+    });
 
-    // Update message with new encrypted content
-    const { encrypted, iv } = Message.encryptContent(content.trim());
-    message.content = encrypted;
-    message.iv = iv;
-    message.edited = true;
-    message.editedAt = new Date();
-
-    await message.save();
-    await message.populate("senderId", "username email");
-
-    // Emit update to WebSocket
-    const io = req.app.get("io");
-    if (io) {
-      io.to(message.groupId.toString()).emit("message-edited", {
-        id: message._id,
-        groupId: message.groupId,
-        sender: message.senderId,
-        content: message.getDecryptedContent(),
-        timestamp: message.timestamp,
-        edited: true,
-        editedAt: message.editedAt,
+    res.status(added ? 201 : 200).json({
+      message: added ? "Reaction added" : "Already reacted",
+      reactions,
+    });
+  } catch (error) {
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
       });
     }
 
-    logger.info(`Message ${messageId} edited by user ${userId}`);
-
-    res.json({
-      message: "Message edited successfully",
-      data: {
-        id: message._id,
-        content: message.getDecryptedContent(),
-        edited: true,
-        editedAt: message.editedAt,
-      },
-    });
-  } catch (error) {
-    logger.error("Edit message error:", error);
+    logger.error("Add reaction error:", error);
     res.status(500).json({
-      error: "Failed to edit message",
+      error: "Failed to add reaction",
       message: error.message,
     });
   }
@@ -367,9 +910,9 @@ router.put("/:messageId", async (req, res) => {
 
 /**
  * @openapi
- * /messages/{messageId}:
+ * /messages/{messageId}/reactions/{emoji}:
  *   delete:
- *     summary: Delete a message (soft delete, sender only)
+ *     summary: Remove your reaction from a message
  *     tags:
  *       - Messages
  *     security:
@@ -380,77 +923,48 @@ router.put("/:messageId", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: emoji
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The emoji, URL-encoded
  *     responses:
  *       200:
- *         description: Message deleted successfully
+ *         description: Reaction removed
  *       400:
- *         description: Already deleted
+ *         description: Invalid emoji
  *       403:
  *         description: Access denied
  *       404:
- *         description: Message not found
+ *         description: Message or reaction not found
  *       500:
- *         description: Failed to delete message
+ *         description: Failed to remove reaction
  */
-router.delete("/:messageId", async (req, res) => {
+router.delete("/:messageId/reactions/:emoji", async (req, res) => {
   try {
-    const { messageId } = req.params;
-    const userId = req.userId;
-
-    // Find the message
-    const message = await Message.findById(messageId);
-
-    if (!message) {
-      return res.status(404).json({
-        error: "Message not found",
-      });
-    }
-
-    // Check if already deleted
-    if (message.deleted) {
-      return res.status(400).json({
-        error: "Already deleted",
-        message: "This message has already been deleted",
-      });
-    }
-
-    // Check if user is the sender or group owner
-    const group = await Group.findById(message.groupId);
-    const isOwner = group && group.owner.toString() === userId;
-    const isSender = message.senderId.toString() === userId;
-
-    if (!isSender && !isOwner) {
-      return res.status(403).json({
-        error: "Access denied",
-        message: "You can only delete your own messages",
-      });
-    }
-
-    // Soft delete the message
-    message.deleted = true;
-    message.deletedAt = new Date();
-    await message.save();
-
-    // Emit deletion to WebSocket
-    const io = req.app.get("io");
-    if (io) {
-      io.to(message.groupId.toString()).emit("message-deleted", {
-        id: message._id,
-        groupId: message.groupId,
-        deletedBy: userId,
-        deletedAt: message.deletedAt,
-      });
-    }
-
-    logger.info(`Message ${messageId} deleted by user ${userId}`);
+    const { reactions } = await removeReaction({
+      userId: req.userId,
+      messageId: req.params.messageId,
+      emoji: req.params.emoji,
+      io: req.app.get("io"),
+    });
 
     res.json({
-      message: "Message deleted successfully",
+      message: "Reaction removed",
+      reactions,
     });
   } catch (error) {
-    logger.error("Delete message error:", error);
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("Remove reaction error:", error);
     res.status(500).json({
-      error: "Failed to delete message",
+      error: "Failed to remove reaction",
       message: error.message,
     });
   }
@@ -527,7 +1041,7 @@ router.get("/:groupId/search", async (req, res) => {
       groupId,
       deleted: false,
     })
-      .populate("senderId", "username email")
+      .populate("senderId", "username email type")
       .sort("-timestamp")
       .limit(500); // Limit to recent 500 messages for search
 
@@ -545,6 +1059,7 @@ router.get("/:groupId/search", async (req, res) => {
           content: decryptedContent,
           timestamp: msg.timestamp,
           edited: msg.edited,
+          reactions: summarizeReactions(msg.reactions, userId),
         });
       }
 
@@ -575,7 +1090,12 @@ router.get("/:groupId/search", async (req, res) => {
  * @openapi
  * /messages/{groupId}/acknowledge:
  *   post:
- *     summary: Acknowledge message receipt (for simulated real-time)
+ *     summary: Mark messages as read
+ *     description: >
+ *       messageIds records a read receipt for each message. readUpTo moves
+ *       the user's read watermark for the group to that message (it never
+ *       moves back), marking it and everything before it as read. At least
+ *       one of them is required.
  *     tags:
  *       - Messages
  *     security:
@@ -592,13 +1112,14 @@ router.get("/:groupId/search", async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - messageIds
  *             properties:
  *               messageIds:
  *                 type: array
  *                 items:
  *                   type: string
+ *               readUpTo:
+ *                 type: string
+ *                 description: ID of the latest message read
  *     responses:
  *       200:
  *         description: Messages acknowledged
@@ -611,50 +1132,188 @@ router.get("/:groupId/search", async (req, res) => {
  */
 router.post("/:groupId/acknowledge", async (req, res) => {
   try {
-    const { groupId } = req.params;
-    const { messageIds } = req.body;
-    const userId = req.userId;
+    const { messageIds = [], readUpTo } = req.body;
 
-    if (!messageIds || !Array.isArray(messageIds)) {
+    if (!Array.isArray(messageIds) || (messageIds.length === 0 && !readUpTo)) {
       return res.status(400).json({
         error: "Invalid message IDs",
+        message: "Provide messageIds, readUpTo or both",
       });
     }
 
-    // Check if group exists and user is member
-    const group = await Group.findById(groupId);
+    const result = await acknowledgeMessages({
+      userId: req.userId,
+      groupId: req.params.groupId,
+      messageIds,
+      readUpTo,
+      io: req.app.get("io"),
+    });
+
+    res.json({
+      message: "Messages acknowledged",
+      acknowledged: result.acknowledged,
+      readUpTo: result.readUpTo,
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("Acknowledge messages error:", error);
+    res.status(500).json({
+      error: "Failed to acknowledge messages",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /messages/{messageId}/receipts:
+ *   get:
+ *     summary: List who has read a message
+ *     description: >
+ *       Members who acknowledged the message or whose read watermark is
+ *       past it, excluding the sender, with the earliest time each read it.
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Readers of the message
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Failed to fetch read receipts
+ */
+router.get("/:messageId/receipts", async (req, res) => {
+  try {
+    const receipts = await getReadReceipts({
+      userId: req.userId,
+      messageId: req.params.messageId,
+    });
+
+    res.json(receipts);
+  } catch (error) {
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("Read receipts error:", error);
+    res.status(500).json({
+      error: "Failed to fetch read receipts",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /messages/{messageId}/attachments/{attachmentId}:
+ *   get:
+ *     summary: Download a message attachment
+ *     description: >
+ *       Returns the decrypted file. Images are shown inline, other files are
+ *       sent as downloads. With thumbnail=true, returns the image's WebP
+ *       thumbnail instead.
+ *     tags:
+ *       - Messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: thumbnail
+ *         schema:
+ *           type: boolean
+ *         description: Get the image thumbnail
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Message, attachment or thumbnail not found
+ *       500:
+ *         description: Failed to download attachment
+ */
+router.get("/:messageId/attachments/:attachmentId", async (req, res) => {
+  try {
+    const { messageId, attachmentId } = req.params;
+    const thumbnail = req.query.thumbnail === "true";
+
+    const message = mongoose.isValidObjectId(messageId)
+      ? await Message.findOne({ _id: messageId, deleted: false })
+      : null;
 
-    if (!group || !group.isMember(userId)) {
+    if (!message) {
+      return res.status(404).json({
+        error: "Message not found",
+      });
+    }
+
+    const group = await Group.findById(message.groupId);
+
+    if (!group || !group.isMember(req.userId)) {
       return res.status(403).json({
         error: "Access denied",
+        message: "You must be a member to download attachments",
       });
     }
 
-    // This is a simulated acknowledgment
-    // In a real system, you might update read receipts in the database
+    const attachment = mongoose.isValidObjectId(attachmentId)
+      ? message.attachments.id(attachmentId)
+      : null;
+    const data =
+      attachment && (await readAttachment(attachment, { thumbnail }));
 
-    const io = req.app.get("io");
-    if (io) {
-      io.to(groupId.toString()).emit("messages-acknowledged", {
-        userId,
-        messageIds,
-        timestamp: new Date(),
+    if (!data) {
+      return res.status(404).json({
+        error: thumbnail ? "Thumbnail not found" : "Attachment not found",
       });
     }
 
-    logger.debug(
-      `Acknowledged ${messageIds.length} messages for user ${userId}`
-    );
+    // Only raster images are shown inline; everything else downloads
+    const inline = thumbnail || THUMBNAIL_TYPES.includes(attachment.mimeType);
 
-    res.json({
-      message: "Messages acknowledged",
-      acknowledged: messageIds,
-      timestamp: new Date(),
+    res.set({
+      "Content-Type": thumbnail ? "image/webp" : attachment.mimeType,
+      "Content-Disposition": `${
+        inline ? "inline" : "attachment"
+      }; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      "Cache-Control": "private, max-age=86400",
+      "X-Content-Type-Options": "nosniff",
     });
+    res.send(data);
   } catch (error) {
-    logger.error("Acknowledge messages error:", error);
+    logger.error("Download attachment error:", error);
     res.status(500).json({
-      error: "Failed to acknowledge messages",
+      error: "Failed to download attachment",
       message: error.message,
     });
   }
@@ -0,0 +1,196 @@
+// routes/notifications.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Notification = require("../models/Notification");
+const requireSession = require("../middleware/requireSession");
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// The inbox belongs to logged-in users only
+router.use(requireSession);
+
+/**
+ * @openapi
+ * /notifications:
+ *   get:
+ *     summary: List your notifications, newest first
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Max number of notifications to return
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Get notifications created before this timestamp
+ *     responses:
+ *       200:
+ *         description: Notifications and the unread count
+ *       400:
+ *         description: Invalid before date
+ *       403:
+ *         description: Login required
+ *       500:
+ *         description: Failed to fetch notifications
+ */
+router.get("/", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { unread, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    if (before && isNaN(new Date(before))) {
+      return res.status(400).json({
+        error: "Invalid date",
+        message: "before must be a date",
+      });
+    }
+
+    const query = { userId };
+
+    if (unread === "true") {
+      query.readAt = null;
+    }
+
+    if (before) {
+      query.createdAt = { $lt: new Date(before) };
+    }
+
+    const notifications = await Notification.find(query)
+      .populate("groupId", "name")
+      .populate("actorId", "username")
+      .sort("-createdAt")
+      .limit(limit);
+
+    const unreadCount = await Notification.countDocuments({
+      userId,
+      readAt: null,
+    });
+
+    res.json({
+      notifications: notifications.map((n) => n.toPayload()),
+      unreadCount,
+      hasMore: notifications.length === limit,
+    });
+  } catch (error) {
+    logger.error("List notifications error:", error);
+    res.status(500).json({
+      error: "Failed to fetch notifications",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /notifications/read-all:
+ *   post:
+ *     summary: Mark all your notifications as read
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       403:
+ *         description: Login required
+ *       500:
+ *         description: Failed to mark notifications as read
+ */
+router.post("/read-all", async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.userId, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    logger.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      error: "Failed to mark notifications as read",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /notifications/{notificationId}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags:
+ *       - Notifications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: notificationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Failed to mark notification as read
+ */
+router.post("/:notificationId/read", async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    const notification = mongoose.isValidObjectId(notificationId)
+      ? await Notification.findOne({ _id: notificationId, userId: req.userId })
+          .populate("groupId", "name")
+          .populate("actorId", "username")
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        error: "Notification not found",
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: "Notification marked as read",
+      notification: notification.toPayload(),
+    });
+  } catch (error) {
+    logger.error("Mark notification read error:", error);
+    res.status(500).json({
+      error: "Failed to mark notification as read",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+// routes/tokens.js
+const express = require("express");
+const router = express.Router();
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const User = require("../models/User");
+const requireSession = require("../middleware/requireSession");
+const { tokenRoom } = require("../sockets/rooms");
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Tokens are managed by logged-in users only
+router.use(requireSession);
+
+// Resolve whose tokens a request manages: the user's own, or a bot's
+// when the user owns that bot. Returns null if the bot is not theirs.
+const resolveTokenOwner = async (userId, botId) => {
+  if (!botId) return userId;
+
+  const bot = await User.findOne({ _id: botId, type: "bot", botOwner: userId });
+  return bot ? bot._id.toString() : null;
+};
+
+const serializeToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  userId: accessToken.userId,
+  tokenPrefix: accessToken.tokenPrefix,
+  scopes: accessToken.scopes,
+  lastUsedAt: accessToken.lastUsedAt,
+  expiresAt: accessToken.expiresAt,
+  createdAt: accessToken.createdAt,
+});
+
+/**
+ * @openapi
+ * /tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: >
+ *       The token is returned only once. Send it as a bearer token, like a
+ *       JWT. Pass botId to create a token for one of your bots.
+ *     tags:
+ *       - Access tokens
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [groups:read, groups:write, messages:read, messages:write]
+ *               expiresInDays:
+ *                 type: integer
+ *               botId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Token created
+ *       400:
+ *         description: Missing or invalid fields
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: Bot not found
+ *       500:
+ *         description: Failed to create token
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays, botId } = req.body;
+    const userId = req.userId;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        message: "Name and at least one scope are required",
+      });
+    }
+
+    const invalidScopes = scopes.filter(
+      (scope) => !PersonalAccessToken.SCOPES.includes(scope)
+    );
+
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        error: "Invalid scopes",
+        message: `Unknown scopes: ${invalidScopes.join(", ")}`,
+      });
+    }
+
+    if (expiresInDays !== undefined && !(expiresInDays > 0)) {
+      return res.status(400).json({
+        error: "Invalid expiry",
+        message: "expiresInDays must be a positive number",
+      });
+    }
+
+    const ownerId = await resolveTokenOwner(userId, botId);
+
+    if (!ownerId) {
+      return res.status(404).json({
+        error: "Bot not found",
+      });
+    }
+
+    const { record, token } = await PersonalAccessToken.issue({
+      userId: ownerId,
+      createdBy: userId,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresInDays,
+    });
+
+    logger.info(`Access token ${record._id} created for user ${ownerId}`);
+
+    res.status(201).json({
+      message: "Access token created successfully",
+      token,
+      accessToken: serializeToken(record),
+    });
+  } catch (error) {
+    logger.error("Create access token error:", error);
+    res.status(500).json({
+      error: "Failed to create token",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /tokens:
+ *   get:
+ *     summary: List active personal access tokens
+ *     tags:
+ *       - Access tokens
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: botId
+ *         schema:
+ *           type: string
+ *         description: List the tokens of one of your bots instead
+ *     responses:
+ *       200:
+ *         description: List of tokens (without their secret values)
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: Bot not found
+ *       500:
+ *         description: Failed to fetch tokens
+ */
+router.get("/", async (req, res) => {
+  try {
+    const ownerId = await resolveTokenOwner(req.userId, req.query.botId);
+
+    if (!ownerId) {
+      return res.status(404).json({
+        error: "Bot not found",
+      });
+    }
+
+    const tokens = await PersonalAccessToken.find({
+      userId: ownerId,
+      revokedAt: null,
+    }).sort("-createdAt");
+
+    res.json({
+      tokens: tokens
+        .filter((accessToken) => accessToken.isActive())
+        .map(serializeToken),
+    });
+  } catch (error) {
+    logger.error("List access tokens error:", error);
+    res.status(500).json({
+      error: "Failed to fetch tokens",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke a personal access token (yours or one of your bots')
+ *     tags:
+ *       - Access tokens
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tokenId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: Token not found
+ *       500:
+ *         description: Failed to revoke token
+ */
+router.delete("/:tokenId", async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+    const userId = req.userId;
+
+    const accessToken = await PersonalAccessToken.findById(tokenId);
+    const ownerId =
+      accessToken &&
+      (await resolveTokenOwner(
+        userId,
+        accessToken.userId.toString() === userId ? null : accessToken.userId
+      ));
+
+    if (!accessToken || !ownerId || accessToken.revokedAt) {
+      return res.status(404).json({
+        error: "Token not found",
+      });
+    }
+
+    accessToken.revokedAt = new Date();
+    await accessToken.save();
+
+    // Drop sockets opened with the token
+    const io = req.app.get("io");
+    if (io) {
+      io.in(tokenRoom(accessToken._id)).disconnectSockets(true);
+    }
+
+    logger.info(`Access token ${tokenId} revoked by user ${userId}`);
+
+    res.json({
+      message: "Access token revoked successfully",
+    });
+  } catch (error) {
+    logger.error("Revoke access token error:", error);
+    res.status(500).json({
+      error: "Failed to revoke token",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
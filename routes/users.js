@@ -0,0 +1,1051 @@
+// routes/users.js
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const User = require("../models/User");
+const Group = require("../models/Group");
+const Session = require("../models/Session");
+const Message = require("../models/Message");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const Notification = require("../models/Notification");
+const ReadState = require("../models/ReadState");
+const MessageReceipt = require("../models/MessageReceipt");
+const MessageRevision = require("../models/MessageRevision");
+const requireSession = require("../middleware/requireSession");
+const { userRoom } = require("../sockets/rooms");
+const mail = require("../mail");
+const { removeMessageAttachments } = require("../utils/attachments");
+const { getConversations, getMentions } = require("../utils/messageService");
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Profile fields a user can edit on themselves
+const EDITABLE_FIELDS = [
+  "username",
+  "displayName",
+  "avatarUrl",
+  "bio",
+  "statusText",
+];
+
+// Full profile, as the user sees it
+const serializeOwnProfile = (user) => ({
+  id: user._id,
+  email: user.email,
+  pendingEmail: user.pendingEmail,
+  emailVerified: user.emailVerified,
+  username: user.username,
+  displayName: user.displayName,
+  avatarUrl: user.avatarUrl,
+  bio: user.bio,
+  statusText: user.statusText,
+  type: user.type,
+  privacy: user.privacy,
+  twoFactorEnabled: user.twoFactorEnabled,
+  createdAt: user.createdAt,
+});
+
+// Check if two users are members of at least one common group
+const shareGroup = async (userId, otherUserId) =>
+  Boolean(await Group.exists({ members: { $all: [userId, otherUserId] } }));
+
+/**
+ * @openapi
+ * /users/me:
+ *   get:
+ *     summary: Get the current user's profile
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile of the current user
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to fetch profile
+ */
+router.get("/me", requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    res.json({
+      user: serializeOwnProfile(user),
+    });
+  } catch (error) {
+    logger.error("Get profile error:", error);
+    res.status(500).json({
+      error: "Failed to fetch profile",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me:
+ *   patch:
+ *     summary: Update the current user's profile
+ *     description: Only the fields sent are changed; send null to clear one.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *                 maxLength: 50
+ *               avatarUrl:
+ *                 type: string
+ *                 format: uri
+ *               bio:
+ *                 type: string
+ *                 maxLength: 500
+ *               statusText:
+ *                 type: string
+ *                 maxLength: 100
+ *               privacy:
+ *                 type: object
+ *                 properties:
+ *                   profileVisibility:
+ *                     type: string
+ *                     enum: [everyone, group-members, nobody]
+ *                   showEmail:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Username already taken
+ *       500:
+ *         description: Failed to update profile
+ */
+router.patch("/me", requireSession, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    const { username, privacy } = req.body;
+
+    if (username !== undefined) {
+      if (typeof username !== "string" || username.trim().length === 0) {
+        return res.status(400).json({
+          error: "Invalid username",
+          message: "Username cannot be empty",
+        });
+      }
+
+      // Keep usernames unique, as registration does
+      const existingUser = await User.findOne({
+        username: username.trim(),
+        _id: { $ne: userId },
+      });
+
+      if (existingUser) {
+        return res.status(409).json({
+          error: "Username taken",
+          message: "Username is already registered",
+        });
+      }
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    }
+
+    if (privacy) {
+      if (privacy.profileVisibility !== undefined) {
+        user.privacy.profileVisibility = privacy.profileVisibility;
+      }
+      if (privacy.showEmail !== undefined) {
+        user.privacy.showEmail = Boolean(privacy.showEmail);
+      }
+    }
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          error: "Validation failed",
+          errors: Object.values(error.errors).map((e) => e.message),
+        });
+      }
+
+      // Username claimed between the check and the save
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: "Username taken",
+          message: "Username is already registered",
+        });
+      }
+
+      throw error;
+    }
+
+    logger.info(`Profile updated for user ${userId}`);
+
+    res.json({
+      message: "Profile updated successfully",
+      user: serializeOwnProfile(user),
+    });
+  } catch (error) {
+    logger.error("Update profile error:", error);
+    res.status(500).json({
+      error: "Failed to update profile",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: All other sessions of the user are revoked.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Missing fields or password too short
+ *       401:
+ *         description: Current password is wrong
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to change password
+ */
+router.post("/me/password", requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const userId = req.userId;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        message: "Current and new password are required",
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        error: "Password too short",
+        message: "Password must be at least 6 characters",
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        error: "Authentication failed",
+        message: "Current password is incorrect",
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Log out everywhere else, the old password may have been compromised
+    const sessions = await Session.revokeAllForUser(
+      userId,
+      "password changed",
+      req.sessionId
+    );
+    sessions.forEach((session) => session.disconnectSockets(req.app.get("io")));
+
+    logger.info(`Password changed for user ${userId}`);
+
+    res.json({
+      message: "Password changed successfully",
+    });
+  } catch (error) {
+    logger.error("Change password error:", error);
+    res.status(500).json({
+      error: "Failed to change password",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/email:
+ *   post:
+ *     summary: Change the current user's email address
+ *     description: >
+ *       Sends a verification link to the new address. The change takes
+ *       effect once it is verified at /auth/verify-email; until then the
+ *       current address stays in use.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification email sent to the new address
+ *       400:
+ *         description: Missing fields, invalid email, or same as current email
+ *       401:
+ *         description: Password is wrong
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Email already registered
+ *       500:
+ *         description: Failed to change email
+ */
+router.post("/me/email", requireSession, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = (req.body.email || "").toLowerCase().trim();
+    const userId = req.userId;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        message: "Email and password are required",
+      });
+    }
+
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({
+        error: "Invalid email format",
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({
+        error: "Authentication failed",
+        message: "Password is incorrect",
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        error: "Same email",
+        message: "This is already your email address",
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        error: "Email already registered",
+      });
+    }
+
+    user.pendingEmail = email;
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    try {
+      await mail.sendTemplate("emailVerification", email, { user, token });
+    } catch (mailError) {
+      logger.error("Email change mail error:", mailError);
+    }
+
+    logger.info(`Email change requested by user ${userId}`);
+
+    res.json({
+      message: "Verification email sent to the new address",
+      pendingEmail: email,
+    });
+  } catch (error) {
+    logger.error("Change email error:", error);
+    res.status(500).json({
+      error: "Failed to change email",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/conversations:
+ *   get:
+ *     summary: List the user's groups for a conversation sidebar
+ *     description: >
+ *       Each joined group with its unread count, unread mention count, a
+ *       decrypted preview of the last message and the last activity time,
+ *       most recently active first. Counts cover messages from other users
+ *       after the read watermark set through /messages/{groupId}/acknowledge.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversations, most recently active first
+ *       403:
+ *         description: Login required
+ *       500:
+ *         description: Failed to fetch conversations
+ */
+router.get("/me/conversations", requireSession, async (req, res) => {
+  try {
+    const conversations = await getConversations(req.userId);
+
+    res.json({
+      conversations,
+    });
+  } catch (error) {
+    logger.error("List conversations error:", error);
+    res.status(500).json({
+      error: "Failed to fetch conversations",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/mentions:
+ *   get:
+ *     summary: List messages that mention the user, newest first
+ *     description: >
+ *       Messages mentioning the user by @username or with @everyone, across
+ *       all groups the user is currently a member of.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Max number of messages to return
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Get mentions sent before this timestamp
+ *     responses:
+ *       200:
+ *         description: Mentioning messages with their group
+ *       400:
+ *         description: Invalid before date
+ *       403:
+ *         description: Login required
+ *       500:
+ *         description: Failed to fetch mentions
+ */
+router.get("/me/mentions", requireSession, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const { mentions, hasMore } = await getMentions({
+      userId: req.userId,
+      limit,
+      before: req.query.before,
+    });
+
+    res.json({
+      mentions,
+      hasMore,
+    });
+  } catch (error) {
+    if (error.name === "MessageError") {
+      return res.status(error.status).json({
+        error: error.error,
+        message: error.message,
+      });
+    }
+
+    logger.error("List mentions error:", error);
+    res.status(500).json({
+      error: "Failed to fetch mentions",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me/export:
+ *   get:
+ *     summary: Download all of the current user's data as JSON
+ *     description: >
+ *       The archive holds the profile, group memberships and join requests,
+ *       every message the user sent (decrypted), sessions, access tokens
+ *       (without their secrets) and bots.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: JSON archive, sent as an attachment
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to export data
+ */
+router.get("/me/export", requireSession, async (req, res) => {
+  try {
+    const userId = req.userId;
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    const [
+      groups,
+      requestedGroups,
+      messages,
+      sessions,
+      tokens,
+      bots,
+      notifications,
+      readStates,
+      revisions,
+    ] = await Promise.all([
+      Group.find({ members: userId }),
+      Group.find({ "joinRequests.userId": userId }),
+      Message.find({ senderId: userId }).sort("timestamp"),
+      Session.find({ userId }).sort("-createdAt"),
+      PersonalAccessToken.find({ userId }).sort("-createdAt"),
+      User.find({ type: "bot", botOwner: userId }),
+      Notification.find({ userId }).sort("-createdAt"),
+      ReadState.find({ userId }),
+      MessageRevision.find({ editedBy: userId }).sort("createdAt"),
+    ]);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: {
+        ...serializeOwnProfile(user),
+        leftGroups: user.leftGroups,
+        bannedGroups: user.bannedGroups,
+      },
+      groups: groups.map((group) => ({
+        id: group._id,
+        name: group.name,
+        type: group.type,
+        role: group.owner.toString() === userId ? "owner" : "member",
+        createdAt: group.createdAt,
+      })),
+      joinRequests: requestedGroups.flatMap((group) =>
+        group.joinRequests
+          .filter((request) => request.userId.toString() === userId)
+          .map((request) => ({
+            groupId: group._id,
+            groupName: group.name,
+            status: request.status,
+            requestedAt: request.requestedAt,
+          }))
+      ),
+      messages: messages.map((msg) => ({
+        id: msg._id,
+        groupId: msg.groupId,
+        content: msg.getDecryptedContent(),
+        attachments: msg.attachments.map((attachment) => ({
+          id: attachment._id,
+          filename: attachment.filename,
+          mimeType: attachment.mimeType,
+          size: attachment.size,
+        })),
+        timestamp: msg.timestamp,
+        edited: msg.edited,
+        editedAt: msg.editedAt,
+        deleted: msg.deleted,
+        deletedAt: msg.deletedAt,
+      })),
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        revokedAt: session.revokedAt,
+      })),
+      accessTokens: tokens.map((accessToken) => ({
+        id: accessToken._id,
+        name: accessToken.name,
+        scopes: accessToken.scopes,
+        createdAt: accessToken.createdAt,
+        lastUsedAt: accessToken.lastUsedAt,
+        revokedAt: accessToken.revokedAt,
+      })),
+      bots: bots.map((bot) => ({
+        id: bot._id,
+        username: bot.username,
+        createdAt: bot.createdAt,
+      })),
+      notifications: notifications.map((notification) => ({
+        id: notification._id,
+        type: notification.type,
+        groupId: notification.groupId,
+        actorId: notification.actorId,
+        readAt: notification.readAt,
+        createdAt: notification.createdAt,
+      })),
+      readStates: readStates.map((readState) => ({
+        groupId: readState.groupId,
+        lastReadAt: readState.lastReadAt,
+        lastReadMessageId: readState.lastReadMessageId,
+        updatedAt: readState.updatedAt,
+      })),
+      messageRevisions: revisions.map((revision) => ({
+        messageId: revision.messageId,
+        groupId: revision.groupId,
+        content: revision.getDecryptedContent(),
+        createdAt: revision.createdAt,
+        replacedAt: revision.replacedAt,
+      })),
+    };
+
+    logger.info(`Data export generated for user ${userId}`);
+
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="account-export-${userId}.json"`
+    );
+    res.json(archive);
+  } catch (error) {
+    logger.error("Export data error:", error);
+    res.status(500).json({
+      error: "Failed to export data",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: >
+ *       Groups the user owns are deleted when the user is their only
+ *       member. Other owned groups must be handed over, either explicitly
+ *       through `transfers` (group id to new owner id) or with
+ *       `autoTransfer`, which picks the longest-standing member; otherwise
+ *       the request is rejected with the groups that need a new owner.
+ *       The user is removed from all groups, join requests and ban lists.
+ *       Messages are anonymized or deleted according to
+ *       ACCOUNT_DELETION_MESSAGE_POLICY. The user's bots, sessions, access
+ *       tokens, notifications and read receipts are deleted as well.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: TOTP or recovery code, when 2FA is enabled
+ *               transfers:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               autoTransfer:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: Missing password or invalid transfer
+ *       401:
+ *         description: Wrong password or two-factor code
+ *       403:
+ *         description: Login required
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Owned groups need a new owner
+ *       500:
+ *         description: Failed to delete account
+ */
+router.delete("/me", requireSession, async (req, res) => {
+  try {
+    const { password, code, transfers = {}, autoTransfer = false } = req.body;
+    const userId = req.userId;
+
+    if (!password) {
+      return res.status(400).json({
+        error: "Missing password",
+        message: "Confirm account deletion with your password",
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    const isCodeValid =
+      !user.twoFactorEnabled ||
+      user.verifyTwoFactorCode(code) ||
+      user.useRecoveryCode(code);
+
+    if (!isPasswordValid || !isCodeValid) {
+      return res.status(401).json({
+        error: "Authentication failed",
+        message: user.twoFactorEnabled
+          ? "Invalid password or two-factor code"
+          : "Password is incorrect",
+      });
+    }
+
+    // Decide what happens to each owned group before changing anything
+    const ownedGroups = await Group.find({ owner: userId });
+    const groupsToDelete = [];
+    const groupsToTransfer = [];
+    const needsTransfer = [];
+
+    for (const group of ownedGroups) {
+      const groupId = group._id.toString();
+      const otherMembers = group.members.filter((m) => m.toString() !== userId);
+
+      if (otherMembers.length === 0) {
+        groupsToDelete.push(group);
+        continue;
+      }
+
+      // Bots cannot own groups, and the user's own bots are deleted too
+      const humans = await User.find({
+        _id: { $in: otherMembers },
+        type: "user",
+      }).select("_id");
+      const humanIds = new Set(humans.map((h) => h._id.toString()));
+
+      const requestedOwner = transfers[groupId];
+
+      if (requestedOwner) {
+        if (!humanIds.has(String(requestedOwner))) {
+          return res.status(400).json({
+            error: "Invalid new owner",
+            message: `New owner of group ${groupId} must be another member who is not a bot`,
+          });
+        }
+
+        groupsToTransfer.push({ group, newOwnerId: String(requestedOwner) });
+        continue;
+      }
+
+      // Keep member order to pick the earliest
+      const successor = otherMembers.find((m) => humanIds.has(m.toString()));
+
+      if (!successor) {
+        groupsToDelete.push(group);
+      } else if (autoTransfer) {
+        groupsToTransfer.push({ group, newOwnerId: successor.toString() });
+      } else {
+        needsTransfer.push({ id: group._id, name: group.name });
+      }
+    }
+
+    if (needsTransfer.length > 0) {
+      return res.status(409).json({
+        error: "Ownership transfer required",
+        message:
+          "Transfer ownership of these groups, or pass autoTransfer to hand them to their longest-standing member",
+        groups: needsTransfer,
+      });
+    }
+
+    // The user's bots go with the account
+    const bots = await User.find({ type: "bot", botOwner: userId });
+    const accountIds = [user._id, ...bots.map((bot) => bot._id)];
+
+    for (const { group, newOwnerId } of groupsToTransfer) {
+      group.owner = newOwnerId;
+      await group.save();
+      Notification.notify(req.app.get("io"), {
+        userId: newOwnerId,
+        type: "ownership-transferred",
+        groupId: group._id,
+      }).catch((error) => logger.error("Notification error:", error));
+      logger.info(
+        `Group ${group._id} ownership transferred from deleted user ${userId} to ${newOwnerId}`
+      );
+    }
+
+    for (const group of groupsToDelete) {
+      await removeMessageAttachments({ groupId: group._id });
+      await Message.deleteMany({ groupId: group._id });
+      await MessageRevision.deleteMany({ groupId: group._id });
+      await ReadState.deleteMany({ groupId: group._id });
+      await MessageReceipt.deleteMany({ groupId: group._id });
+      await User.updateMany(
+        { groups: group._id },
+        { $pull: { groups: group._id } }
+      );
+      await group.deleteOne();
+    }
+
+    // Remove every trace from remaining groups
+    await Group.updateMany(
+      {
+        $or: [
+          { members: { $in: accountIds } },
+          { "joinRequests.userId": { $in: accountIds } },
+          { "bannedUsers.userId": { $in: accountIds } },
+        ],
+      },
+      {
+        $pull: {
+          members: { $in: accountIds },
+          joinRequests: { userId: { $in: accountIds } },
+          bannedUsers: { userId: { $in: accountIds } },
+        },
+      }
+    );
+
+    await Message.updateMany(
+      { "reactions.userId": { $in: accountIds } },
+      { $pull: { reactions: { userId: { $in: accountIds } } } }
+    );
+
+    const messagePolicy =
+      process.env.ACCOUNT_DELETION_MESSAGE_POLICY === "delete"
+        ? "delete"
+        : "anonymize";
+
+    if (messagePolicy === "delete") {
+      await removeMessageAttachments({ senderId: { $in: accountIds } });
+      await Message.deleteMany({ senderId: { $in: accountIds } });
+      await MessageRevision.deleteMany({ editedBy: { $in: accountIds } });
+    } else {
+      await Message.updateMany(
+        { senderId: { $in: accountIds } },
+        { $unset: { senderId: 1 }, $set: { senderDeleted: true } }
+      );
+      await MessageRevision.updateMany(
+        { editedBy: { $in: accountIds } },
+        { $unset: { editedBy: 1 } }
+      );
+    }
+
+    // Log out everywhere and drop credentials
+    const sessions = await Session.revokeAllForUser(userId, "account deleted");
+    sessions.forEach((session) => session.disconnectSockets(req.app.get("io")));
+    await Session.deleteMany({ userId });
+    await PersonalAccessToken.deleteMany({ userId: { $in: accountIds } });
+    await Notification.deleteMany({ userId: { $in: accountIds } });
+    await ReadState.deleteMany({ userId: { $in: accountIds } });
+    await MessageReceipt.deleteMany({ userId: { $in: accountIds } });
+
+    await User.deleteMany({ _id: { $in: accountIds } });
+
+    // Drop any sockets still open for the account or its bots
+    const io = req.app.get("io");
+    if (io) {
+      accountIds.forEach((id) => io.in(userRoom(id)).disconnectSockets(true));
+    }
+
+    logger.info(
+      `Account ${userId} deleted (${groupsToDelete.length} groups deleted, ${groupsToTransfer.length} transferred, messages ${messagePolicy}d)`
+    );
+
+    res.json({
+      message: "Account deleted successfully",
+      deletedGroups: groupsToDelete.map((group) => group._id),
+      transferredGroups: groupsToTransfer.map(({ group, newOwnerId }) => ({
+        id: group._id,
+        newOwner: newOwnerId,
+      })),
+      messagePolicy,
+    });
+  } catch (error) {
+    logger.error("Delete account error:", error);
+    res.status(500).json({
+      error: "Failed to delete account",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @openapi
+ * /users/{idOrUsername}:
+ *   get:
+ *     summary: Get a user's public profile by id or username
+ *     description: >
+ *       Profiles set to "group-members" are only shown to users sharing a
+ *       group, and "nobody" profiles only show the username. The email is
+ *       included only when the user chose to show it.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: idOrUsername
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Public profile
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Failed to fetch profile
+ */
+router.get("/:idOrUsername", async (req, res) => {
+  try {
+    const { idOrUsername } = req.params;
+    const userId = req.userId;
+
+    const user = await User.findOne(
+      mongoose.isValidObjectId(idOrUsername)
+        ? { $or: [{ _id: idOrUsername }, { username: idOrUsername }] }
+        : { username: idOrUsername }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        error: "User not found",
+      });
+    }
+
+    const isSelf = user._id.toString() === userId;
+    const visibility = user.privacy.profileVisibility;
+    const visible =
+      isSelf ||
+      visibility === "everyone" ||
+      (visibility === "group-members" && (await shareGroup(userId, user._id)));
+
+    const profile = {
+      id: user._id,
+      username: user.username,
+      type: user.type,
+    };
+
+    if (visible) {
+      Object.assign(profile, {
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl,
+        bio: user.bio,
+        statusText: user.statusText,
+        createdAt: user.createdAt,
+      });
+
+      if (isSelf || user.privacy.showEmail) {
+        profile.email = user.email;
+      }
+    }
+
+    res.json({
+      user: profile,
+      restricted: !visible,
+    });
+  } catch (error) {
+    logger.error("Get user profile error:", error);
+    res.status(500).json({
+      error: "Failed to fetch profile",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// scripts/generate-jwt-key.js
+// Usage: node scripts/generate-jwt-key.js [RS256|EdDSA] [kid]
+// Writes a new private signing key to JWT_KEYS_DIR as <kid>.pem
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const algorithm = process.argv[2] || process.env.JWT_ALGORITHM || "RS256";
+const kid = process.argv[3] || new Date().toISOString().slice(0, 10);
+
+if (!["RS256", "EdDSA"].includes(algorithm)) {
+  console.error("Algorithm must be RS256 or EdDSA");
+  process.exit(1);
+}
+
+const dir = path.resolve(process.env.JWT_KEYS_DIR || "keys");
+const file = path.join(dir, `${kid}.pem`);
+
+if (fs.existsSync(file)) {
+  console.error(`Key ${file} already exists`);
+  process.exit(1);
+}
+
+const { privateKey } = crypto.generateKeyPairSync(
+  algorithm === "EdDSA" ? "ed25519" : "rsa",
+  { modulusLength: 2048 }
+);
+
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(file, privateKey.export({ type: "pkcs8", format: "pem" }), {
+  mode: 0o600,
+});
+
+console.log(`Wrote ${algorithm} signing key ${kid} to ${file}`);
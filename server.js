@@ -13,14 +13,29 @@ const swaggerJsdoc = require("swagger-jsdoc");
 const authRoutes = require("./routes/auth");
 const groupRoutes = require("./routes/groups");
 const messageRoutes = require("./routes/messages");
+const tokenRoutes = require("./routes/tokens");
+const botRoutes = require("./routes/bots");
+const userRoutes = require("./routes/users");
+const notificationRoutes = require("./routes/notifications");
 
 // Import middleware
 const authMiddleware = require("./middleware/auth");
 const errorHandler = require("./middleware/errorHandler");
+const requireScope = require("./middleware/requireScope");
+
+// Import utilities
+const tokenService = require("./utils/tokenService");
+
+// Import socket handlers
+const registerSocketHandlers = require("./sockets");
+const { attachAdapter } = require("./sockets/adapters");
 
 // Load environment variables
 dotenv.config();
 
+// Load JWT signing keys now, so a missing key fails at startup
+tokenService.reload();
+
 // Configure winston logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || "info",
@@ -82,15 +97,46 @@ const swaggerOptions = {
     },
     security: [{ bearerAuth: [] }],
   },
-  apis: ["./routes/auth.js", "./routes/groups.js", "./routes/messages.js"],
+  apis: [
+    "./routes/auth.js",
+    "./routes/groups.js",
+    "./routes/messages.js",
+    "./routes/tokens.js",
+    "./routes/bots.js",
+    "./routes/users.js",
+    "./routes/notifications.js",
+  ],
 };
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Body fields never written to the logs: passwords, tokens and codes
+const REDACTED_FIELDS = [
+  "password",
+  "currentPassword",
+  "newPassword",
+  "refreshToken",
+  "challengeToken",
+  "token",
+  "code",
+  "recoveryCode",
+  "secret",
+];
+
+const redactBody = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return body;
+
+  const redacted = { ...body };
+  for (const field of REDACTED_FIELDS) {
+    if (field in redacted) redacted[field] = "[REDACTED]";
+  }
+  return redacted;
+};
+
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
-    body: req.body,
+    body: redactBody(req.body),
     query: req.query,
     ip: req.ip,
   });
@@ -114,8 +160,17 @@ mongoose
 
 // API Routes
 app.use("/api/auth", authRoutes);
-app.use("/api/groups", authMiddleware, groupRoutes);
-app.use("/api/messages", authMiddleware, messageRoutes);
+app.use("/api/groups", authMiddleware, requireScope("groups"), groupRoutes);
+app.use(
+  "/api/messages",
+  authMiddleware,
+  requireScope("messages"),
+  messageRoutes
+);
+app.use("/api/tokens", authMiddleware, tokenRoutes);
+app.use("/api/bots", authMiddleware, botRoutes);
+app.use("/api/users", authMiddleware, userRoutes);
+app.use("/api/notifications", authMiddleware, notificationRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -128,26 +183,16 @@ app.get("/health", (req, res) => {
   });
 });
 
-// ...existing code...
-
-// WebSocket connection handling
-io.on("connection", (socket) => {
-  logger.info("New WebSocket connection:", socket.id);
-
-  socket.on("join-group", (groupId) => {
-    socket.join(groupId);
-    logger.info(`Socket ${socket.id} joined group ${groupId}`);
-  });
+// Public keys for verifying issued tokens
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(tokenService.getJwks());
+});
 
-  socket.on("leave-group", (groupId) => {
-    socket.leave(groupId);
-    logger.info(`Socket ${socket.id} left group ${groupId}`);
-  });
+// ...existing code...
 
-  socket.on("disconnect", () => {
-    logger.info("WebSocket disconnected:", socket.id);
-  });
-});
+// WebSocket authentication and event handling
+registerSocketHandlers(io);
 
 // Make io accessible to routes
 app.set("io", io);
@@ -163,9 +208,16 @@ app.use((req, res) => {
   });
 });
 
-// Start server
+// Start server once socket events can reach the other instances
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || "development"}`);
-});
+attachAdapter(io)
+  .then(() => {
+    server.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`);
+      logger.info(`Environment: ${process.env.NODE_ENV || "development"}`);
+    });
+  })
+  .catch((err) => {
+    logger.error("Socket adapter error:", err);
+    process.exit(1);
+  });
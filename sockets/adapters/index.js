@@ -0,0 +1,46 @@
+// sockets/adapters/index.js
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Build the adapter named by SOCKET_ADAPTER. The default "memory" keeps
+// socket.io's built-in adapter, which only reaches sockets of this process.
+const createAdapter = async () => {
+  switch (process.env.SOCKET_ADAPTER) {
+    case "redis":
+      // Required lazily so the default needs no Redis client
+      return require("./redis")();
+    case "mongo":
+      return require("./mongo")();
+    case "memory":
+    case undefined:
+    case "":
+      return null;
+    default:
+      throw new Error(`Unknown socket adapter: ${process.env.SOCKET_ADAPTER}`);
+  }
+};
+
+// Whether events must be forwarded to other server instances
+let distributed = false;
+
+/**
+ * Install the configured adapter on the socket.io server, so emits,
+ * room changes and fetchSockets() reach every server instance
+ */
+const attachAdapter = async (io) => {
+  const adapter = await createAdapter();
+
+  if (adapter) {
+    io.adapter(adapter);
+    distributed = true;
+    logger.info(`Socket.io using the ${process.env.SOCKET_ADAPTER} adapter`);
+  }
+};
+
+module.exports = {
+  attachAdapter,
+  isDistributed: () => distributed,
+};
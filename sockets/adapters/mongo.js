@@ -0,0 +1,28 @@
+// sockets/adapters/mongo.js
+const mongoose = require("mongoose");
+const { createAdapter } = require("@socket.io/mongo-adapter");
+
+// Events are only needed until every instance has read them
+const EVENT_TTL_SECONDS = 3600;
+
+/**
+ * MongoDB change stream adapter
+ * Instances exchange events through a collection of the app's database.
+ * Change streams need MongoDB to run as a replica set (a single-node
+ * replica set is enough for local testing).
+ */
+module.exports = async () => {
+  // Wait for the connection opened in server.js
+  await mongoose.connection.asPromise();
+
+  const collection = mongoose.connection.db.collection(
+    process.env.SOCKET_ADAPTER_COLLECTION || "socket.io-adapter-events"
+  );
+
+  await collection.createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: EVENT_TTL_SECONDS }
+  );
+
+  return createAdapter(collection, { addCreatedAtField: true });
+};
@@ -0,0 +1,28 @@
+// sockets/adapters/redis.js
+const { createClient } = require("redis");
+const { createAdapter } = require("@socket.io/redis-adapter");
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+/**
+ * Redis pub/sub adapter
+ * Every instance connected to REDIS_URL receives the others' events
+ */
+module.exports = async () => {
+  const pubClient = createClient({
+    url: process.env.REDIS_URL || "redis://localhost:6379",
+  });
+  const subClient = pubClient.duplicate();
+
+  pubClient.on("error", (error) => logger.error("Redis pub error:", error));
+  subClient.on("error", (error) => logger.error("Redis sub error:", error));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  return createAdapter(pubClient, subClient, {
+    key: process.env.SOCKET_ADAPTER_KEY || "socket.io",
+  });
+};
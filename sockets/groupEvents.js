@@ -0,0 +1,57 @@
+// sockets/groupEvents.js
+// Real-time events of a group. Besides the group's socket room they are
+// delivered to in-process subscribers, such as Server-Sent Events streams,
+// on every server instance.
+const { EventEmitter } = require("events");
+const { groupRoom } = require("./rooms");
+const { isDistributed } = require("./adapters");
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Name of the server-side event relaying group events between instances
+const RELAY_EVENT = "group-event";
+
+/**
+ * Emit an event to a group's sockets and subscribers
+ */
+const publish = (io, groupId, event, data) => {
+  const id = String(groupId);
+
+  // Plain JSON, as subscribers on other instances will receive it
+  const payload = JSON.parse(JSON.stringify(data));
+
+  if (io) {
+    io.to(groupRoom(id)).emit(event, data);
+
+    if (isDistributed()) {
+      io.serverSideEmit(RELAY_EVENT, id, event, payload);
+    }
+  }
+
+  bus.emit(id, event, payload);
+};
+
+/**
+ * Listen to a group's events; returns a function that unsubscribes
+ */
+const subscribe = (groupId, listener) => {
+  const id = String(groupId);
+  bus.on(id, listener);
+  return () => bus.off(id, listener);
+};
+
+/**
+ * Pass events published on other instances to local subscribers
+ */
+const relayFromOtherInstances = (io) => {
+  io.on(RELAY_EVENT, (groupId, event, payload) => {
+    bus.emit(groupId, event, payload);
+  });
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  relayFromOtherInstances,
+};
@@ -0,0 +1,353 @@
+// sockets/index.js
+const mongoose = require("mongoose");
+const winston = require("winston");
+const Group = require("../models/Group");
+const Session = require("../models/Session");
+const { authenticate } = require("../middleware/auth");
+const { canPost } = require("../middleware/requireVerifiedEmail");
+const {
+  MessageError,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  replayEvents,
+} = require("../utils/messageService");
+const { userRoom, tokenRoom, groupRoom } = require("./rooms");
+const { SOCKET_STATUSES, updatePresence } = require("./presence");
+const { createTypingTracker } = require("./typing");
+const { subscribe, relayFromOtherInstances } = require("./groupEvents");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Build a connect_error the client can tell apart from network failures
+const authError = (error, message) => {
+  const err = new Error(message);
+  err.data = { error, message };
+  return err;
+};
+
+/**
+ * Socket authentication middleware
+ * Requires the same bearer token as the REST API, sent as
+ * `auth: { token }` or in the Authorization header of the handshake
+ */
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const header = headers.authorization || "";
+  const token =
+    auth.token || (header.startsWith("Bearer ") ? header.slice(7) : header);
+
+  if (!token) {
+    return next(authError("No token provided", "Please provide a valid token"));
+  }
+
+  try {
+    const identity = await authenticate(token);
+
+    socket.data.userId = identity.userId;
+    socket.data.authType = identity.authType;
+    socket.data.tokenScopes = identity.tokenScopes;
+    socket.data.sessionId = identity.sessionId;
+
+    // Rooms used to reach or drop this socket from the REST handlers
+    socket.join(userRoom(identity.userId));
+    if (identity.sessionId) {
+      socket.join(Session.socketRoom(identity.sessionId));
+    }
+    if (identity.accessTokenId) {
+      socket.join(tokenRoom(identity.accessTokenId));
+    }
+
+    next();
+  } catch (error) {
+    if (error.name === "AuthenticationError") {
+      return next(authError(error.error, error.message));
+    }
+
+    if (error.name === "TokenExpiredError") {
+      return next(authError("Token expired", "Please login again"));
+    }
+
+    if (error.name !== "JsonWebTokenError") {
+      logger.error("Socket authentication error:", error);
+    }
+    next(authError("Invalid token", "The provided token is invalid"));
+  }
+};
+
+// Check the socket's user may receive a group's events
+const checkGroupAccess = async (socket, groupId) => {
+  const { userId, authType, tokenScopes } = socket.data;
+
+  if (authType === "token" && !tokenScopes.includes("messages:read")) {
+    return {
+      error: "Insufficient scope",
+      message: "This access token needs the messages:read scope",
+    };
+  }
+
+  if (!mongoose.isValidObjectId(groupId)) {
+    return { error: "Group not found" };
+  }
+
+  const group = await Group.findById(groupId);
+
+  if (!group) {
+    return { error: "Group not found" };
+  }
+
+  if (!group.isMember(userId)) {
+    return {
+      error: "Access denied",
+      message: "You must be a member to join this group",
+    };
+  }
+
+  return null;
+};
+
+// Acknowledge when the client passed a callback, else emit failures
+const reply = (socket, ack, event, payload) => {
+  if (typeof ack === "function") return ack(payload);
+  if (payload.error) socket.emit(`${event}-error`, payload);
+};
+
+/**
+ * Wrap a message action as a socket event handler. The client sends a
+ * payload object, optionally with a tempId, and an ack callback that gets
+ * `{ tempId, ok: true, data }` or `{ tempId, status, error, message }`.
+ */
+const messageHandler = (socket, event, failure, action) => {
+  return async (payload, ack) => {
+    const input = payload && typeof payload === "object" ? payload : {};
+    const { tempId } = input;
+
+    try {
+      const { authType, tokenScopes } = socket.data;
+
+      if (authType === "token" && !tokenScopes.includes("messages:write")) {
+        throw new MessageError(
+          403,
+          "Insufficient scope",
+          "This access token needs the messages:write scope"
+        );
+      }
+
+      const data = await action(input);
+      reply(socket, ack, event, { tempId, ok: true, data });
+    } catch (error) {
+      if (error.name === "MessageError") {
+        return reply(socket, ack, event, {
+          tempId,
+          status: error.status,
+          error: error.error,
+          message: error.message,
+        });
+      }
+
+      logger.error(`Socket ${event} error:`, error);
+      reply(socket, ack, event, { tempId, status: 500, error: failure });
+    }
+  };
+};
+
+/**
+ * Send a socket the group's events after a cursor, then add it to the
+ * group's room. Events published while the replay runs are held back, as
+ * for event streams, and sent once it is done unless it already covered
+ * them; the room is joined in the same tick, so nothing falls in between.
+ */
+const replayGroup = async (socket, groupId, since) => {
+  let pending = [];
+  const unsubscribe = subscribe(groupId, (event, data) => {
+    if (pending) pending.push({ event, data });
+  });
+
+  try {
+    const { events, truncated } = await replayEvents(groupId, since);
+    let last = since;
+
+    for (const { event, data } of events) {
+      socket.emit(event, { ...data, replayed: true });
+      last = data.cursor;
+    }
+
+    // Skip held events the replay already covered
+    for (const { event, data } of pending) {
+      if (!data.cursor || !last || new Date(data.cursor) > last) {
+        socket.emit(event, data);
+      }
+    }
+    pending = null;
+
+    socket.join(groupRoom(groupId));
+
+    return { replayed: events.length, truncated };
+  } finally {
+    unsubscribe();
+  }
+};
+
+/**
+ * Register socket.io authentication and event handlers
+ */
+module.exports = (io) => {
+  io.use(authenticateSocket);
+  relayFromOtherInstances(io);
+
+  io.on("connection", (socket) => {
+    const { userId } = socket.data;
+    logger.info(`New WebSocket connection ${socket.id} for user ${userId}`);
+
+    const changePresence = (previous, next) =>
+      updatePresence(io, socket, previous, next).catch((error) =>
+        logger.error("Presence update error:", error)
+      );
+
+    socket.data.presence = "online";
+    changePresence(null, "online");
+
+    const typing = createTypingTracker(io, socket);
+
+    // Clients mark themselves away, e.g. when backgrounded or idle
+    socket.on("set-presence", (status, ack) => {
+      if (!SOCKET_STATUSES.includes(status)) {
+        return reply(socket, ack, "set-presence", {
+          error: "Invalid status",
+          message: `Status must be one of: ${SOCKET_STATUSES.join(", ")}`,
+        });
+      }
+
+      const previous = socket.data.presence;
+      socket.data.presence = status;
+      changePresence(previous, status);
+      reply(socket, ack, "set-presence", { ok: true, status });
+    });
+
+    // join-group takes a group id, or { groupId, since } on reconnect to
+    // first replay the events after the last cursor the client saw
+    socket.on("join-group", async (request, ack) => {
+      const { groupId, since } =
+        request && typeof request === "object" ? request : { groupId: request };
+
+      try {
+        const denied = await checkGroupAccess(socket, groupId);
+
+        if (denied) {
+          logger.warn(
+            `Socket ${socket.id} of user ${userId} denied group ${groupId}`
+          );
+          return reply(socket, ack, "join-group", { groupId, ...denied });
+        }
+
+        if (since === undefined || since === null) {
+          socket.join(groupRoom(groupId));
+          logger.info(`Socket ${socket.id} joined group ${groupId}`);
+          return reply(socket, ack, "join-group", { groupId, ok: true });
+        }
+
+        const cursor = new Date(since);
+
+        if (isNaN(cursor)) {
+          return reply(socket, ack, "join-group", {
+            groupId,
+            error: "Invalid cursor",
+            message: "since must be a cursor from a previous event",
+          });
+        }
+
+        const replay = await replayGroup(socket, groupId, cursor);
+
+        logger.info(
+          `Socket ${socket.id} rejoined group ${groupId}, replayed ${replay.replayed} events`
+        );
+        reply(socket, ack, "join-group", { groupId, ok: true, ...replay });
+      } catch (error) {
+        logger.error("Join group socket error:", error);
+        reply(socket, ack, "join-group", {
+          groupId,
+          error: "Failed to join group",
+        });
+      }
+    });
+
+    socket.on(
+      "send-message",
+      messageHandler(
+        socket,
+        "send-message",
+        "Failed to send message",
+        async ({ groupId, content, replyTo, tempId }) => {
+          if (!(await canPost(userId))) {
+            throw new MessageError(
+              403,
+              "Email not verified",
+              "Please verify your email address to continue"
+            );
+          }
+
+          const data = await sendMessage({
+            userId,
+            groupId,
+            content,
+            replyTo,
+            tempId,
+            io,
+          });
+          typing.stop(String(groupId));
+          return data;
+        }
+      )
+    );
+
+    socket.on(
+      "edit-message",
+      messageHandler(
+        socket,
+        "edit-message",
+        "Failed to edit message",
+        ({ messageId, content }) =>
+          editMessage({ userId, messageId, content, io })
+      )
+    );
+
+    socket.on(
+      "delete-message",
+      messageHandler(
+        socket,
+        "delete-message",
+        "Failed to delete message",
+        ({ messageId }) => deleteMessage({ userId, messageId, io })
+      )
+    );
+
+    socket.on("typing-start", (groupId, ack) => {
+      if (!typing.start(String(groupId))) {
+        return reply(socket, ack, "typing-start", {
+          groupId,
+          error: "Access denied",
+          message: "Join the group before sending typing events",
+        });
+      }
+      reply(socket, ack, "typing-start", { groupId, ok: true });
+    });
+
+    socket.on("typing-stop", (groupId) => {
+      typing.stop(String(groupId));
+    });
+
+    socket.on("leave-group", (groupId) => {
+      typing.stop(String(groupId));
+      socket.leave(groupRoom(groupId));
+      logger.info(`Socket ${socket.id} left group ${groupId}`);
+    });
+
+    socket.on("disconnect", () => {
+      logger.info(`WebSocket disconnected: ${socket.id}`);
+      changePresence(socket.data.presence, null);
+      typing.stopAll();
+    });
+  });
+};
@@ -0,0 +1,88 @@
+// sockets/presence.js
+// Online status derived from the sockets each user has open. Every socket
+// holds its own status in socket.data.presence, so a user is online if any
+// device is, away if all their devices are, and offline without sockets.
+const winston = require("winston");
+const User = require("../models/User");
+const { userRoom, groupRoom } = require("./rooms");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Statuses a client may set for its socket
+const SOCKET_STATUSES = ["online", "away"];
+
+// Combine the statuses of a user's sockets
+const summarize = (statuses) => {
+  if (statuses.includes("online")) return "online";
+  if (statuses.includes("away")) return "away";
+  return "offline";
+};
+
+/**
+ * Presence of several users, as a Map of userId to status
+ * Works across server instances through the socket.io adapter.
+ */
+const getPresence = async (io, userIds) => {
+  const presence = new Map(userIds.map((id) => [id.toString(), []]));
+
+  if (io && presence.size > 0) {
+    const sockets = await io
+      .in([...presence.keys()].map(userRoom))
+      .fetchSockets();
+
+    for (const socket of sockets) {
+      const statuses = presence.get(socket.data.userId);
+      if (statuses) statuses.push(socket.data.presence);
+    }
+  }
+
+  return new Map(
+    [...presence].map(([userId, statuses]) => [userId, summarize(statuses)])
+  );
+};
+
+/**
+ * Record that a socket's status went from `previous` to `next` (null when
+ * the socket connects or disconnects) and tell the user's groups if that
+ * changes the user's overall presence.
+ */
+const updatePresence = async (io, socket, previous, next) => {
+  const { userId } = socket.data;
+
+  const others = (await io.in(userRoom(userId)).fetchSockets())
+    .filter((other) => other.id !== socket.id)
+    .map((other) => other.data.presence);
+
+  const before = summarize(previous ? [...others, previous] : others);
+  const after = summarize(next ? [...others, next] : others);
+
+  // Last seen is kept current on connect and disconnect
+  let lastSeenAt;
+  if (!previous || !next) {
+    lastSeenAt = new Date();
+    await User.updateOne({ _id: userId }, { lastSeenAt });
+  }
+
+  if (before === after) return;
+
+  const user = await User.findById(userId).select("groups lastSeenAt");
+  if (!user) return;
+
+  const rooms = [userRoom(userId), ...user.groups.map(groupRoom)];
+
+  io.to(rooms).emit("presence-changed", {
+    userId,
+    status: after,
+    lastSeenAt: lastSeenAt || user.lastSeenAt,
+  });
+
+  logger.debug(`User ${userId} is now ${after}`);
+};
+
+module.exports = {
+  SOCKET_STATUSES,
+  getPresence,
+  updatePresence,
+};
@@ -0,0 +1,31 @@
+// sockets/rooms.js
+// Names of the socket.io rooms the server emits to
+
+// Every socket of a user, across devices
+const userRoom = (userId) => `user:${userId}`;
+
+// Every socket opened with one personal access token
+const tokenRoom = (accessTokenId) => `token:${accessTokenId}`;
+
+// Sockets receiving a group's real-time events
+const groupRoom = (groupId) => String(groupId);
+
+/**
+ * Take all of a user's sockets out of a group's room, telling them why
+ */
+const evictFromGroup = (io, userId, groupId, reason) => {
+  if (!io) return;
+
+  io.to(userRoom(userId)).emit("removed-from-group", {
+    groupId,
+    reason,
+  });
+  io.in(userRoom(userId)).socketsLeave(groupRoom(groupId));
+};
+
+module.exports = {
+  userRoom,
+  tokenRoom,
+  groupRoom,
+  evictFromGroup,
+};
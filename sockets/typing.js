@@ -0,0 +1,92 @@
+// sockets/typing.js
+// "Who is typing" lists per group. Each socket records the groups it is
+// typing in, with an expiry, in socket.data.typing so the list can be
+// rebuilt from the group's sockets on any server instance.
+const winston = require("winston");
+const { groupRoom } = require("./rooms");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Typing stops by itself unless the client repeats typing-start
+const TYPING_TIMEOUT_MS = 5000;
+
+// typing-start events closer together than this are ignored
+const TYPING_THROTTLE_MS = 1000;
+
+/**
+ * Emit the users currently typing in a group to the group's room
+ */
+const broadcastTyping = async (io, groupId) => {
+  const now = Date.now();
+  const sockets = await io.in(groupRoom(groupId)).fetchSockets();
+  const users = new Set();
+
+  for (const socket of sockets) {
+    const expiresAt = socket.data.typing && socket.data.typing[groupId];
+    if (expiresAt > now) users.add(socket.data.userId);
+  }
+
+  io.to(groupRoom(groupId)).emit("typing", {
+    groupId,
+    users: [...users],
+  });
+};
+
+/**
+ * Typing state of one socket. Only groups whose room the socket joined,
+ * which requires membership, accept typing events.
+ */
+const createTypingTracker = (io, socket) => {
+  const timers = new Map();
+  const lastStart = new Map();
+
+  socket.data.typing = {};
+
+  const broadcast = (groupId) =>
+    broadcastTyping(io, groupId).catch((error) =>
+      logger.error("Typing broadcast error:", error)
+    );
+
+  const stop = (groupId) => {
+    if (!timers.has(groupId)) return;
+
+    clearTimeout(timers.get(groupId));
+    timers.delete(groupId);
+    lastStart.delete(groupId);
+    delete socket.data.typing[groupId];
+    broadcast(groupId);
+  };
+
+  // Returns false when the socket is not in the group's room
+  const start = (groupId) => {
+    if (!socket.rooms.has(groupRoom(groupId))) return false;
+
+    const now = Date.now();
+    if (now - (lastStart.get(groupId) || 0) < TYPING_THROTTLE_MS) return true;
+    lastStart.set(groupId, now);
+
+    const wasTyping = timers.has(groupId);
+
+    clearTimeout(timers.get(groupId));
+    timers.set(
+      groupId,
+      setTimeout(() => stop(groupId), TYPING_TIMEOUT_MS)
+    );
+    socket.data.typing[groupId] = now + TYPING_TIMEOUT_MS;
+
+    if (!wasTyping) broadcast(groupId);
+    return true;
+  };
+
+  const stopAll = () => {
+    for (const groupId of [...timers.keys()]) stop(groupId);
+  };
+
+  return { start, stop, stopAll };
+};
+
+module.exports = {
+  createTypingTracker,
+};
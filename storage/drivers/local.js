@@ -0,0 +1,43 @@
+// storage/drivers/local.js
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Local disk storage driver
+ * Keeps each object as a file under STORAGE_DIR, keys being relative paths
+ */
+module.exports = (options = {}) => {
+  const dir = path.resolve(options.dir || process.env.STORAGE_DIR || "uploads");
+
+  // Keys are generated by the server, but never leave the storage directory
+  const resolve = (key) => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: "local",
+
+    async put(key, data) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+};
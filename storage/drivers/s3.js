@@ -0,0 +1,64 @@
+// storage/drivers/s3.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+/**
+ * S3 storage driver
+ * Works with AWS S3 and compatible services such as MinIO; set S3_ENDPOINT
+ * and S3_FORCE_PATH_STYLE=true for the latter.
+ */
+module.exports = (options = {}) => {
+  const bucket = options.bucket || process.env.S3_BUCKET;
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region: options.region || process.env.S3_REGION || "us-east-1",
+    endpoint: options.endpoint || process.env.S3_ENDPOINT || undefined,
+    forcePathStyle:
+      (options.forcePathStyle || process.env.S3_FORCE_PATH_STYLE) === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  return {
+    name: "s3",
+
+    async put(key, data, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: data,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    async get(key) {
+      try {
+        const object = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === "NoSuchKey") return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
@@ -0,0 +1,36 @@
+// storage/index.js
+let driver = null;
+
+// Pick the driver named by STORAGE_DRIVER, defaulting to local disk
+const createDriver = () => {
+  switch (process.env.STORAGE_DRIVER) {
+    case "s3":
+      // Required lazily so local storage works without the AWS SDK configured
+      return require("./drivers/s3")();
+    case "local":
+    case undefined:
+    case "":
+      return require("./drivers/local")();
+    default:
+      throw new Error(`Unknown storage driver: ${process.env.STORAGE_DRIVER}`);
+  }
+};
+
+const getDriver = () => {
+  if (!driver) driver = createDriver();
+  return driver;
+};
+
+/**
+ * Replace the storage driver, e.g. with a custom or in-memory one.
+ * A driver is any object with async put(key, data, contentType),
+ * get(key) (resolving to a Buffer, or null when missing) and delete(key).
+ */
+const setDriver = (customDriver) => {
+  driver = customDriver;
+};
+
+module.exports = {
+  getDriver,
+  setDriver,
+};
@@ -0,0 +1,207 @@
+// utils/attachments.js
+// Files attached to messages. Each file is encrypted with the message key
+// and written through the storage driver; images also get a thumbnail.
+const crypto = require("crypto");
+const sharp = require("sharp");
+const winston = require("winston");
+const encryption = require("./encryption");
+const Message = require("../models/Message");
+const { getDriver } = require("../storage");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Images that get a thumbnail
+const THUMBNAIL_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+// Leading bytes of the types recognised from their content
+const SIGNATURES = [
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/gif", bytes: [...Buffer.from("GIF87a")] },
+  { type: "image/gif", bytes: [...Buffer.from("GIF89a")] },
+  { type: "application/pdf", bytes: [...Buffer.from("%PDF-")] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x05, 0x06] },
+];
+
+// Types whose declared MIME type is checked against the content
+const SNIFFED_TYPES = [
+  ...new Set(SIGNATURES.map(({ type }) => type)),
+  "image/webp",
+  "text/plain",
+];
+
+// UTF-8 without NUL bytes
+const isText = (buffer) => {
+  if (buffer.includes(0)) return false;
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The MIME type of file contents as far as it can be told from its bytes,
+ * or null
+ */
+const detectType = (buffer) => {
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+
+  const match = SIGNATURES.find(({ bytes }) =>
+    bytes.every((byte, i) => buffer[i] === byte)
+  );
+  if (match) return match.type;
+
+  return isText(buffer) ? "text/plain" : null;
+};
+
+/**
+ * Whether file contents are of their declared type. Types that cannot be
+ * recognised from content pass; they are only ever served as downloads.
+ */
+const contentMatchesType = (buffer, mimeType) =>
+  !SNIFFED_TYPES.includes(mimeType) || detectType(buffer) === mimeType;
+
+// Encrypt and store one object under a new random key
+const storeEncrypted = async (groupId, data) => {
+  const key = `${groupId}/${crypto.randomBytes(16).toString("hex")}`;
+  const { encrypted, iv } = encryption.encryptBuffer(data);
+
+  // Stored objects are ciphertext, whatever the original type
+  await getDriver().put(key, encrypted, "application/octet-stream");
+
+  return { storageKey: key, iv };
+};
+
+// Thumbnail and dimensions of an image; null when it cannot be decoded
+const makeThumbnail = async (buffer) => {
+  try {
+    const image = sharp(buffer, { animated: false });
+    const { width, height } = await image.metadata();
+    const { data, info } = await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp()
+      .toBuffer({ resolveWithObject: true });
+
+    return { width, height, data, info };
+  } catch (error) {
+    logger.warn(`Could not create thumbnail: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Store uploaded files (multer memory-storage files) for a group.
+ * Returns the attachment entries to save on the message.
+ */
+const storeAttachments = async (groupId, files = []) => {
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const attachment = {
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        ...(await storeEncrypted(groupId, file.buffer)),
+      };
+      attachments.push(attachment);
+
+      if (THUMBNAIL_TYPES.includes(file.mimetype)) {
+        const thumbnail = await makeThumbnail(file.buffer);
+
+        if (thumbnail) {
+          attachment.width = thumbnail.width;
+          attachment.height = thumbnail.height;
+          attachment.thumbnail = {
+            width: thumbnail.info.width,
+            height: thumbnail.info.height,
+            ...(await storeEncrypted(groupId, thumbnail.data)),
+          };
+        }
+      }
+    }
+  } catch (error) {
+    // Don't leave the files stored so far behind
+    await removeAttachments(attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+/**
+ * Decrypted contents of an attachment or its thumbnail; null when missing
+ */
+const readAttachment = async (attachment, { thumbnail = false } = {}) => {
+  const source = thumbnail ? attachment.thumbnail : attachment;
+  if (!source || !source.storageKey) return null;
+
+  const data = await getDriver().get(source.storageKey);
+  if (!data) return null;
+
+  return encryption.decryptBuffer(data, source.iv);
+};
+
+/**
+ * Delete the stored files of attachments; failures are only logged
+ */
+const removeAttachments = async (attachments) => {
+  const keys = attachments.flatMap((attachment) => [
+    attachment.storageKey,
+    ...(attachment.thumbnail && attachment.thumbnail.storageKey
+      ? [attachment.thumbnail.storageKey]
+      : []),
+  ]);
+
+  for (const key of keys) {
+    try {
+      await getDriver().delete(key);
+    } catch (error) {
+      logger.error(`Failed to delete stored file ${key}:`, error);
+    }
+  }
+};
+
+/**
+ * Delete the stored files of every message matching a query; call before
+ * deleting the messages themselves
+ */
+const removeMessageAttachments = async (query) => {
+  const messages = await Message.find({
+    ...query,
+    "attachments.0": { $exists: true },
+  }).select("attachments");
+
+  await removeAttachments(messages.flatMap((msg) => msg.attachments));
+};
+
+module.exports = {
+  THUMBNAIL_TYPES,
+  contentMatchesType,
+  storeAttachments,
+  readAttachment,
+  removeAttachments,
+  removeMessageAttachments,
+};
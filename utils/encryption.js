@@ -0,0 +1,63 @@
+// utils/encryption.js
+const crypto = require("crypto");
+
+const algorithm = "aes-128-cbc";
+
+const getKey = () =>
+  Buffer.from(process.env.ENCRYPTION_KEY || "defaultkey123456", "utf8");
+
+/**
+ * Encrypt a string with the server-wide ENCRYPTION_KEY
+ * Returns hex ciphertext and the random IV used
+ */
+exports.encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(16);
+
+  const cipher = crypto.createCipheriv(algorithm, getKey(), iv);
+  let encrypted = cipher.update(plaintext, "utf8", "hex");
+  encrypted += cipher.final("hex");
+
+  return {
+    encrypted: encrypted,
+    iv: iv.toString("hex"),
+  };
+};
+
+/**
+ * Decrypt hex ciphertext produced by encrypt()
+ */
+exports.decrypt = (encryptedContent, iv) => {
+  const ivBuffer = Buffer.from(iv, "hex");
+
+  const decipher = crypto.createDecipheriv(algorithm, getKey(), ivBuffer);
+  let decrypted = decipher.update(encryptedContent, "hex", "utf8");
+  decrypted += decipher.final("utf8");
+
+  return decrypted;
+};
+
+/**
+ * Encrypt binary data, such as an attachment, with ENCRYPTION_KEY
+ * Returns the ciphertext as a Buffer and the random IV as hex
+ */
+exports.encryptBuffer = (data) => {
+  const iv = crypto.randomBytes(16);
+
+  const cipher = crypto.createCipheriv(algorithm, getKey(), iv);
+
+  return {
+    encrypted: Buffer.concat([cipher.update(data), cipher.final()]),
+    iv: iv.toString("hex"),
+  };
+};
+
+/**
+ * Decrypt a Buffer produced by encryptBuffer()
+ */
+exports.decryptBuffer = (encryptedData, iv) => {
+  const ivBuffer = Buffer.from(iv, "hex");
+
+  const decipher = crypto.createDecipheriv(algorithm, getKey(), ivBuffer);
+
+  return Buffer.concat([decipher.update(encryptedData), decipher.final()]);
+};
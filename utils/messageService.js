@@ -0,0 +1,989 @@
+// utils/messageService.js
+// Sending, editing and deleting messages, shared by the REST routes and
+// the socket handlers so both apply the same checks and emit the same events.
+const mongoose = require("mongoose");
+const winston = require("winston");
+const Message = require("../models/Message");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const ReadState = require("../models/ReadState");
+const MessageReceipt = require("../models/MessageReceipt");
+const MessageRevision = require("../models/MessageRevision");
+const Notification = require("../models/Notification");
+const { publish } = require("../sockets/groupEvents");
+const { storeAttachments, removeAttachments } = require("./attachments");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// Thrown for requests that must be refused; carries the HTTP status
+class MessageError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = "MessageError";
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Most messages replayed on reconnect; beyond that clients refetch
+const REPLAY_LIMIT = 200;
+
+// Reactions are short tokens such as an emoji or :shortcode:
+const MAX_REACTION_LENGTH = 32;
+
+// @username or @everyone, not preceded by a word character (emails)
+const MENTION_PATTERN = /(^|[^\w@])@([\w.-]+)/g;
+
+/**
+ * Reaction counts per emoji, in the order they were first used.
+ * With a viewer, each also tells whether the viewer reacted with it.
+ */
+const summarizeReactions = (reactions = [], viewerId) => {
+  const summary = new Map();
+
+  for (const reaction of reactions) {
+    const entry = summary.get(reaction.emoji) || {
+      emoji: reaction.emoji,
+      count: 0,
+    };
+
+    entry.count += 1;
+    if (viewerId !== undefined) {
+      entry.reactedByMe =
+        entry.reactedByMe || reaction.userId.toString() === viewerId;
+    }
+    summary.set(reaction.emoji, entry);
+  }
+
+  return [...summary.values()];
+};
+
+// Attachment metadata with the URLs to download it from
+const serializeAttachment = (message, attachment) => {
+  const url = `/api/messages/${message._id}/attachments/${attachment._id}`;
+  const hasThumbnail = Boolean(
+    attachment.thumbnail && attachment.thumbnail.storageKey
+  );
+
+  return {
+    id: attachment._id,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    url,
+    thumbnailUrl: hasThumbnail ? `${url}?thumbnail=true` : null,
+  };
+};
+
+/**
+ * Client representation of a message; the sender must be populated.
+ * Pass the viewer's id to mark their own reactions.
+ */
+const serializeMessage = (message, viewerId) => ({
+  id: message._id,
+  groupId: message.groupId,
+  sender: message.senderId,
+  content: message.getDecryptedContent(),
+  timestamp: message.timestamp,
+  edited: message.edited,
+  editedAt: message.editedAt,
+  parentId: message.parentId,
+  threadRootId: message.threadRootId,
+  replyCount: message.replyCount,
+  lastReplyAt: message.lastReplyAt,
+  reactions: summarizeReactions(message.reactions, viewerId),
+  attachments: message.attachments.map((attachment) =>
+    serializeAttachment(message, attachment)
+  ),
+  mentions: message.mentions,
+  mentionsEveryone: message.mentionsEveryone,
+});
+
+// Payloads of the real-time events. Each carries a cursor, the time of
+// the change, which clients send back on reconnect to replay what they missed.
+const newMessageEvent = (message) => ({
+  ...serializeMessage(message),
+  cursor: message.timestamp,
+});
+
+const messageEditedEvent = (message) => ({
+  ...serializeMessage(message),
+  cursor: message.editedAt,
+});
+
+const messageDeletedEvent = (message) => ({
+  id: message._id,
+  groupId: message.groupId,
+  deletedBy: message.deletedBy,
+  deletedAt: message.deletedAt,
+  cursor: message.deletedAt,
+});
+
+const requireContent = (content) => {
+  if (typeof content !== "string" || content.trim().length === 0) {
+    throw new MessageError(
+      400,
+      "Missing content",
+      "Message content is required"
+    );
+  }
+  return content.trim();
+};
+
+// A date from a query parameter; invalid dates are refused with 400
+const parseDate = (value, name) => {
+  const date = new Date(value);
+
+  if (isNaN(date)) {
+    throw new MessageError(400, "Invalid date", `${name} must be a date`);
+  }
+  return date;
+};
+
+const findMessage = async (messageId) => {
+  const message = mongoose.isValidObjectId(messageId)
+    ? await Message.findById(messageId)
+    : null;
+
+  if (!message) {
+    throw new MessageError(404, "Message not found");
+  }
+  return message;
+};
+
+// Tell a group that a thread's reply count or last reply changed
+const publishThreadUpdate = (io, root) => {
+  publish(io, root.groupId, "thread-updated", {
+    threadRootId: root._id,
+    groupId: root.groupId,
+    replyCount: root.replyCount,
+    lastReplyAt: root.lastReplyAt,
+  });
+};
+
+/**
+ * Find the @mentions in a message. Usernames resolve only to current
+ * members of the group, and the sender never mentions themselves.
+ * hadEveryone is set for edits of a message that already mentioned
+ * @everyone, which may keep it whatever the group allows now.
+ */
+const resolveMentions = async (
+  text,
+  group,
+  senderId,
+  { hadEveryone = false } = {}
+) => {
+  const names = new Set();
+  let mentionsEveryone = false;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // A trailing dot ends the sentence rather than the username
+    const name = match[2].replace(/\.+$/, "");
+    if (name === "everyone") {
+      mentionsEveryone = true;
+    } else if (name) {
+      names.add(name);
+    }
+  }
+
+  if (mentionsEveryone && !hadEveryone && !group.canMentionEveryone(senderId)) {
+    throw new MessageError(
+      403,
+      "Mention not allowed",
+      "You cannot mention @everyone in this group"
+    );
+  }
+
+  const users =
+    names.size > 0
+      ? await User.find({
+          username: { $in: [...names] },
+          _id: { $in: group.members, $ne: senderId },
+        }).select("_id")
+      : [];
+
+  return { mentions: users.map((user) => user._id), mentionsEveryone };
+};
+
+// Notify users mentioned by a message who were not mentioned before
+const notifyMentions = (io, message, group, previous = {}) => {
+  const everyone = (mentionsEveryone, mentions = []) =>
+    mentionsEveryone ? group.members : mentions;
+
+  const notified = new Set(
+    everyone(previous.mentionsEveryone, previous.mentions).map(String)
+  );
+  notified.add(message.senderId._id.toString());
+
+  const recipients = everyone(message.mentionsEveryone, message.mentions)
+    .map(String)
+    .filter((id) => !notified.has(id));
+
+  Notification.notifyMany(io, recipients, {
+    type: "mention",
+    groupId: group._id,
+    actorId: message.senderId._id,
+    messageId: message._id,
+  }).catch((error) => logger.error("Mention notification error:", error));
+};
+
+/**
+ * Send a message to a group the user is a member of.
+ * tempId is the client's id for the pending message, echoed in the
+ * "new-message" event so the sender's clients can match it up.
+ * replyTo makes it a reply in the thread of that message.
+ * files are uploaded attachments; with them the content may be empty.
+ */
+const sendMessage = async ({
+  userId,
+  groupId,
+  content,
+  replyTo,
+  files = [],
+  tempId,
+  io,
+}) => {
+  const hasText = typeof content === "string" && content.trim().length > 0;
+  const text = files.length > 0 && !hasText ? "" : requireContent(content);
+
+  const group = mongoose.isValidObjectId(groupId)
+    ? await Group.findById(groupId)
+    : null;
+
+  if (!group) {
+    throw new MessageError(404, "Group not found");
+  }
+
+  if (!group.isMember(userId)) {
+    throw new MessageError(
+      403,
+      "Access denied",
+      "You must be a member to send messages"
+    );
+  }
+
+  let parent = null;
+
+  if (replyTo) {
+    parent = mongoose.isValidObjectId(replyTo)
+      ? await Message.findOne({ _id: replyTo, groupId, deleted: false })
+      : null;
+
+    if (!parent) {
+      throw new MessageError(
+        404,
+        "Message not found",
+        "The message replied to does not exist in this group"
+      );
+    }
+  }
+
+  const { mentions, mentionsEveryone } = await resolveMentions(
+    text,
+    group,
+    userId
+  );
+
+  const attachments = await storeAttachments(group._id, files);
+
+  // Create and save message (encryption happens in pre-save hook)
+  const message = new Message({
+    groupId,
+    senderId: userId,
+    content: text,
+    mentions,
+    mentionsEveryone,
+    attachments,
+    encrypted: true,
+    parentId: parent ? parent._id : undefined,
+    threadRootId: parent ? parent.threadRootId || parent._id : undefined,
+  });
+
+  try {
+    await message.save();
+  } catch (error) {
+    await removeAttachments(attachments);
+    throw error;
+  }
+  await message.populate("senderId", "username email type");
+
+  const data = newMessageEvent(message);
+
+  publish(io, groupId, "new-message", { ...data, tempId });
+  logger.debug(`Real-time message published to group ${groupId}`);
+
+  notifyMentions(io, message, group);
+
+  if (message.threadRootId) {
+    const root = await Message.findByIdAndUpdate(
+      message.threadRootId,
+      { $inc: { replyCount: 1 }, $set: { lastReplyAt: message.timestamp } },
+      { new: true }
+    );
+    if (root) publishThreadUpdate(io, root);
+  }
+
+  logger.info(`Message sent to group ${groupId} by user ${userId}`);
+
+  return data;
+};
+
+/**
+ * Replace the content of one of the user's own messages, within the
+ * group's edit window. The previous content is kept as a revision.
+ */
+const editMessage = async ({ userId, messageId, content, io }) => {
+  const text = requireContent(content);
+  const message = await findMessage(messageId);
+
+  if (message.deleted) {
+    throw new MessageError(
+      400,
+      "Message deleted",
+      "Cannot edit a deleted message"
+    );
+  }
+
+  if (!message.senderId || message.senderId.toString() !== userId) {
+    throw new MessageError(
+      403,
+      "Access denied",
+      "You can only edit your own messages"
+    );
+  }
+
+  const group = await Group.findById(message.groupId);
+
+  if (!group) {
+    throw new MessageError(404, "Group not found");
+  }
+
+  const { editWindowMinutes } = group;
+
+  const minutesSinceSent = (Date.now() - message.timestamp) / (1000 * 60);
+  if (editWindowMinutes === 0) {
+    throw new MessageError(
+      400,
+      "Editing disabled",
+      "Messages cannot be edited in this group"
+    );
+  }
+  if (editWindowMinutes != null && minutesSinceSent > editWindowMinutes) {
+    throw new MessageError(
+      400,
+      "Time limit exceeded",
+      `Messages can only be edited within ${editWindowMinutes} minutes of sending`
+    );
+  }
+
+  const previous = {
+    mentions: message.mentions,
+    mentionsEveryone: message.mentionsEveryone,
+  };
+  const { mentions, mentionsEveryone } = await resolveMentions(
+    text,
+    group,
+    userId,
+    { hadEveryone: previous.mentionsEveryone }
+  );
+
+  const revision = await MessageRevision.record(message, userId);
+
+  // The pre-save hook encrypts the new content
+  message.content = text;
+  message.mentions = mentions;
+  message.mentionsEveryone = mentionsEveryone;
+  message.edited = true;
+  message.editedAt = new Date();
+
+  try {
+    await message.save();
+  } catch (error) {
+    // No history entry for an edit that did not happen
+    await revision.deleteOne();
+    throw error;
+  }
+  await message.populate("senderId", "username email type");
+
+  const data = messageEditedEvent(message);
+
+  publish(io, message.groupId, "message-edited", data);
+
+  // Only users newly mentioned by the edit are notified
+  notifyMentions(io, message, group, previous);
+
+  logger.info(`Message ${messageId} edited by user ${userId}`);
+
+  return data;
+};
+
+/**
+ * Every version of a message's content, oldest first, the last one being
+ * the current content. Only the sender and the group owner may see it.
+ */
+const getEditHistory = async ({ userId, messageId }) => {
+  const message = await findMessage(messageId);
+  const group = await Group.findById(message.groupId);
+
+  const isOwner = Boolean(group) && group.owner.toString() === userId;
+  const isSender =
+    Boolean(message.senderId) && message.senderId.toString() === userId;
+
+  if (!isSender && !isOwner) {
+    throw new MessageError(
+      403,
+      "Access denied",
+      "Only the sender and the group owner can view the edit history"
+    );
+  }
+
+  const revisions = await MessageRevision.find({ messageId: message._id })
+    .populate("editedBy", "username")
+    .sort("createdAt");
+
+  const versions = revisions.map((revision, index) => ({
+    version: index + 1,
+    content: revision.getDecryptedContent(),
+    createdAt: revision.createdAt,
+    replacedAt: revision.replacedAt,
+    replacedBy: revision.editedBy,
+  }));
+
+  versions.push({
+    version: versions.length + 1,
+    content: message.getDecryptedContent(),
+    createdAt: message.editedAt || message.timestamp,
+    current: true,
+  });
+
+  return {
+    messageId: message._id,
+    groupId: message.groupId,
+    deleted: message.deleted,
+    versions,
+  };
+};
+
+/**
+ * Soft delete a message; allowed for its sender and the group owner
+ */
+const deleteMessage = async ({ userId, messageId, io }) => {
+  const message = await findMessage(messageId);
+
+  if (message.deleted) {
+    throw new MessageError(
+      400,
+      "Already deleted",
+      "This message has already been deleted"
+    );
+  }
+
+  const group = await Group.findById(message.groupId);
+  const isOwner = group && group.owner.toString() === userId;
+  const isSender =
+    Boolean(message.senderId) && message.senderId.toString() === userId;
+
+  if (!isSender && !isOwner) {
+    throw new MessageError(
+      403,
+      "Access denied",
+      "You can only delete your own messages"
+    );
+  }
+
+  // Stored files go once the message no longer references them
+  const attachments = message.attachments.map((attachment) =>
+    attachment.toObject()
+  );
+
+  message.deleted = true;
+  message.deletedAt = new Date();
+  message.deletedBy = userId;
+  message.attachments = [];
+  await message.save();
+
+  await removeAttachments(attachments);
+
+  const data = messageDeletedEvent(message);
+
+  publish(io, message.groupId, "message-deleted", data);
+
+  if (message.threadRootId) {
+    // The last reply may be the one deleted
+    const lastReply = await Message.findOne({
+      threadRootId: message.threadRootId,
+      deleted: false,
+    })
+      .sort("-timestamp")
+      .select("timestamp");
+
+    const root = await Message.findByIdAndUpdate(
+      message.threadRootId,
+      {
+        $inc: { replyCount: -1 },
+        ...(lastReply
+          ? { $set: { lastReplyAt: lastReply.timestamp } }
+          : { $unset: { lastReplyAt: 1 } }),
+      },
+      { new: true }
+    );
+    if (root) publishThreadUpdate(io, root);
+  }
+
+  logger.info(`Message ${messageId} deleted by user ${userId}`);
+
+  return data;
+};
+
+/**
+ * Record that a user read messages of a group: receipts for messageIds
+ * and, with readUpTo, a watermark covering every message up to that one.
+ * Only changes are broadcast as "messages-acknowledged".
+ */
+const acknowledgeMessages = async ({
+  userId,
+  groupId,
+  messageIds = [],
+  readUpTo,
+  io,
+}) => {
+  const ids = readUpTo ? [...messageIds, readUpTo] : messageIds;
+
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new MessageError(400, "Invalid message IDs");
+  }
+
+  const group = mongoose.isValidObjectId(groupId)
+    ? await Group.findById(groupId)
+    : null;
+
+  if (!group || !group.isMember(userId)) {
+    throw new MessageError(403, "Access denied");
+  }
+
+  // Unknown, deleted and other groups' messages are ignored
+  const messages = await Message.find({
+    _id: { $in: ids },
+    groupId,
+    deleted: false,
+  }).select("timestamp");
+  const found = new Map(messages.map((m) => [m._id.toString(), m]));
+
+  const acknowledged = [...new Set(messageIds)].filter((id) => found.has(id));
+  const newlyRead = await MessageReceipt.record(userId, groupId, acknowledged);
+
+  let readState = null;
+  if (readUpTo && found.has(readUpTo)) {
+    readState = await ReadState.advance(userId, groupId, found.get(readUpTo));
+  }
+
+  const watermark = readState && {
+    messageId: readState.lastReadMessageId,
+    timestamp: readState.lastReadAt,
+  };
+
+  if (newlyRead.length > 0 || watermark) {
+    publish(io, groupId, "messages-acknowledged", {
+      userId,
+      groupId,
+      messageIds: newlyRead,
+      readUpTo: watermark || undefined,
+      timestamp: new Date(),
+    });
+  }
+
+  logger.debug(
+    `User ${userId} acknowledged ${acknowledged.length} messages in group ${groupId}`
+  );
+
+  return { acknowledged, readUpTo: watermark };
+};
+
+/**
+ * Members who have read a message, through a receipt or their watermark
+ */
+const getReadReceipts = async ({ userId, messageId }) => {
+  const message = await findMessage(messageId);
+  const group = await Group.findById(message.groupId);
+
+  if (!group || !group.isMember(userId)) {
+    throw new MessageError(
+      403,
+      "Access denied",
+      "You must be a member to view read receipts"
+    );
+  }
+
+  const [receipts, readStates] = await Promise.all([
+    MessageReceipt.find({ messageId: message._id }),
+    ReadState.find({
+      groupId: message.groupId,
+      lastReadAt: { $gte: message.timestamp },
+    }),
+  ]);
+
+  // Earliest known read time per reader
+  const readers = new Map();
+  for (const { userId: readerId, readAt } of [
+    ...receipts.map((r) => ({ userId: r.userId, readAt: r.readAt })),
+    ...readStates.map((r) => ({ userId: r.userId, readAt: r.updatedAt })),
+  ]) {
+    const id = readerId.toString();
+    const sender = message.senderId && message.senderId.toString();
+
+    // Current members only, and not the sender
+    if (id === sender || !group.isMember(id)) continue;
+    if (!readers.has(id) || readAt < readers.get(id)) readers.set(id, readAt);
+  }
+
+  const users = await User.find({ _id: { $in: [...readers.keys()] } }).select(
+    "username"
+  );
+
+  return {
+    messageId: message._id,
+    readBy: users
+      .map((user) => ({
+        userId: user._id,
+        username: user.username,
+        readAt: readers.get(user._id.toString()),
+      }))
+      .sort((a, b) => a.readAt - b.readAt),
+    memberCount: group.members.length,
+  };
+};
+
+const requireEmoji = (emoji) => {
+  if (
+    typeof emoji !== "string" ||
+    emoji.length === 0 ||
+    emoji.length > MAX_REACTION_LENGTH ||
+    /\s/.test(emoji)
+  ) {
+    throw new MessageError(
+      400,
+      "Invalid emoji",
+      `A reaction is 1 to ${MAX_REACTION_LENGTH} characters without spaces`
+    );
+  }
+  return emoji;
+};
+
+// A live message of a group the user belongs to
+const findMessageForMember = async (userId, messageId) => {
+  const message = await findMessage(messageId);
+
+  if (message.deleted) {
+    throw new MessageError(404, "Message not found");
+  }
+
+  const group = await Group.findById(message.groupId);
+
+  if (!group || !group.isMember(userId)) {
+    throw new MessageError(
+      403,
+      "Access denied",
+      "You must be a member to react to messages"
+    );
+  }
+
+  return message;
+};
+
+// Payload of reaction-added and reaction-removed
+const reactionEvent = (message, emoji, userId) => ({
+  messageId: message._id,
+  groupId: message.groupId,
+  emoji,
+  userId,
+  count: message.reactions.filter((r) => r.emoji === emoji).length,
+});
+
+/**
+ * React to a message; reacting twice with the same emoji is a no-op.
+ * Returns whether the reaction was added and the message's reactions.
+ */
+const addReaction = async ({ userId, messageId, emoji, io }) => {
+  requireEmoji(emoji);
+  const message = await findMessageForMember(userId, messageId);
+
+  // Only push when this user has not used this emoji yet
+  const updated = await Message.findOneAndUpdate(
+    {
+      _id: message._id,
+      reactions: { $not: { $elemMatch: { emoji, userId } } },
+    },
+    { $push: { reactions: { emoji, userId } } },
+    { new: true }
+  );
+
+  if (updated) {
+    publish(
+      io,
+      updated.groupId,
+      "reaction-added",
+      reactionEvent(updated, emoji, userId)
+    );
+    logger.debug(`User ${userId} reacted ${emoji} to message ${messageId}`);
+  }
+
+  const current = updated || message;
+
+  return {
+    added: Boolean(updated),
+    reactions: summarizeReactions(current.reactions, userId),
+  };
+};
+
+/**
+ * Remove the user's reaction with an emoji from a message
+ */
+const removeReaction = async ({ userId, messageId, emoji, io }) => {
+  requireEmoji(emoji);
+  const message = await findMessageForMember(userId, messageId);
+
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, reactions: { $elemMatch: { emoji, userId } } },
+    { $pull: { reactions: { emoji, userId } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new MessageError(404, "Reaction not found");
+  }
+
+  publish(
+    io,
+    updated.groupId,
+    "reaction-removed",
+    reactionEvent(updated, emoji, userId)
+  );
+
+  return {
+    reactions: summarizeReactions(updated.reactions, userId),
+  };
+};
+
+/**
+ * Page through the replies of the thread a message belongs to, oldest
+ * first. Returns the thread root and the page of replies.
+ */
+const getThreadReplies = async ({
+  userId,
+  messageId,
+  limit,
+  before,
+  after,
+}) => {
+  const message = await findMessage(messageId);
+  const group = await Group.findById(message.groupId);
+
+  if (!group || !group.isMember(userId)) {
+    throw new MessageError(
+      403,
+      "Access denied",
+      "You must be a member to view messages"
+    );
+  }
+
+  const rootId = message.threadRootId || message._id;
+  const root =
+    rootId.toString() === message._id.toString()
+      ? message
+      : await Message.findById(rootId);
+
+  const query = { threadRootId: rootId, deleted: false };
+
+  if (before) {
+    query.timestamp = { $lt: parseDate(before, "before") };
+  } else if (after) {
+    query.timestamp = { $gt: parseDate(after, "after") };
+  }
+
+  // Newest first when paging backwards, so the page ends at `before`
+  const replies = await Message.find(query)
+    .populate("senderId", "username email type")
+    .sort(before ? "-timestamp" : "timestamp")
+    .limit(limit);
+
+  if (before) replies.reverse();
+
+  if (root) await root.populate("senderId", "username email type");
+
+  return {
+    root: root && !root.deleted ? serializeMessage(root, userId) : null,
+    replies: replies.map((reply) => serializeMessage(reply, userId)),
+    hasMore: replies.length === limit,
+  };
+};
+
+// Length of the last message preview in the conversation list
+const PREVIEW_LENGTH = 100;
+
+/**
+ * Every group the user belongs to, with its unread and mention counts
+ * (messages from others after the user's read watermark) and a preview
+ * of the last message, most recently active first
+ */
+const getConversations = async (userId) => {
+  const groups = await Group.find({ members: userId });
+  const readStates = await ReadState.find({
+    userId,
+    groupId: { $in: groups.map((group) => group._id) },
+  });
+  const watermarks = new Map(
+    readStates.map((state) => [state.groupId.toString(), state.lastReadAt])
+  );
+
+  const conversations = await Promise.all(
+    groups.map(async (group) => {
+      const lastReadAt = watermarks.get(group._id.toString());
+      const unread = {
+        groupId: group._id,
+        deleted: false,
+        senderId: { $ne: userId },
+      };
+      if (lastReadAt) unread.timestamp = { $gt: lastReadAt };
+
+      const [unreadCount, mentionCount, lastMessage] = await Promise.all([
+        Message.countDocuments(unread),
+        Message.countDocuments({
+          ...unread,
+          $or: [{ mentions: userId }, { mentionsEveryone: true }],
+        }),
+        Message.findOne({ groupId: group._id, deleted: false })
+          .populate("senderId", "username")
+          .sort("-timestamp"),
+      ]);
+
+      return {
+        group: {
+          id: group._id,
+          name: group.name,
+          type: group.type,
+          memberCount: group.members.length,
+        },
+        unreadCount,
+        mentionCount,
+        lastReadAt: lastReadAt || null,
+        lastMessage: lastMessage && {
+          id: lastMessage._id,
+          sender: lastMessage.senderId,
+          preview: lastMessage.getDecryptedContent().slice(0, PREVIEW_LENGTH),
+          timestamp: lastMessage.timestamp,
+        },
+        lastActivityAt: lastMessage ? lastMessage.timestamp : group.createdAt,
+      };
+    })
+  );
+
+  return conversations.sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+};
+
+/**
+ * Messages mentioning the user, directly or with @everyone, across the
+ * groups they are currently a member of; newest first.
+ */
+const getMentions = async ({ userId, limit, before }) => {
+  const groups = await Group.find({ members: userId }).select("_id");
+  const query = {
+    groupId: { $in: groups.map((group) => group._id) },
+    senderId: { $ne: userId },
+    deleted: false,
+    $or: [{ mentions: userId }, { mentionsEveryone: true }],
+  };
+
+  if (before) {
+    query.timestamp = { $lt: parseDate(before, "before") };
+  }
+
+  const messages = await Message.find(query)
+    .populate("senderId", "username email type")
+    .populate("groupId", "name")
+    .sort("-timestamp")
+    .limit(limit);
+
+  return {
+    mentions: messages.map((msg) => ({
+      ...serializeMessage(msg, userId),
+      groupId: msg.groupId._id,
+      group: { id: msg.groupId._id, name: msg.groupId.name },
+    })),
+    hasMore: messages.length === limit,
+  };
+};
+
+/**
+ * The events of a group from a cursor on, oldest first, as
+ * `{ event, data }` pairs. Each message yields its latest change only: a
+ * message sent and then edited replays as one "new-message". The cursor is
+ * inclusive, so the last event the client saw may be repeated.
+ */
+const replayEvents = async (groupId, since) => {
+  const messages = await Message.find({
+    groupId,
+    $or: [
+      { timestamp: { $gte: since } },
+      { editedAt: { $gte: since } },
+      { deletedAt: { $gte: since } },
+    ],
+  })
+    .populate("senderId", "username email type")
+    .sort("timestamp")
+    .limit(REPLAY_LIMIT + 1);
+
+  const truncated = messages.length > REPLAY_LIMIT;
+  const events = [];
+
+  for (const message of messages.slice(0, REPLAY_LIMIT)) {
+    if (message.deleted) {
+      // Clients never saw messages sent and deleted while they were away
+      if (message.timestamp <= since) {
+        events.push({
+          event: "message-deleted",
+          data: messageDeletedEvent(message),
+        });
+      }
+    } else if (message.timestamp >= since) {
+      // Also covers later edits, so the cursor is the latest change
+      events.push({
+        event: "new-message",
+        data: {
+          ...newMessageEvent(message),
+          cursor: message.editedAt || message.timestamp,
+        },
+      });
+    } else {
+      events.push({
+        event: "message-edited",
+        data: messageEditedEvent(message),
+      });
+    }
+  }
+
+  events.sort((a, b) => a.data.cursor - b.data.cursor);
+
+  return { events, truncated };
+};
+
+module.exports = {
+  MessageError,
+  summarizeReactions,
+  serializeMessage,
+  sendMessage,
+  editMessage,
+  getEditHistory,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  acknowledgeMessages,
+  getReadReceipts,
+  getThreadReplies,
+  getConversations,
+  getMentions,
+  replayEvents,
+};
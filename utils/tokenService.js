@@ -0,0 +1,199 @@
+// utils/tokenService.js
+// Signs and verifies every JWT the server issues with asymmetric keys, so
+// other services can verify tokens from the published JWKS alone.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const jose = require("jose");
+const jwt = require("jsonwebtoken");
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console()],
+});
+
+// JWS algorithm for each supported key type
+const ALGORITHMS = {
+  rsa: "RS256",
+  ed25519: "EdDSA",
+};
+
+let keyring = null;
+
+const toKey = (kid, keyObject) => {
+  const privateKey = keyObject.type === "private" ? keyObject : null;
+  const publicKey = privateKey ? crypto.createPublicKey(privateKey) : keyObject;
+  const alg = ALGORITHMS[publicKey.asymmetricKeyType];
+
+  if (!alg) {
+    throw new Error(
+      `JWT key ${kid} has unsupported type ${publicKey.asymmetricKeyType}`
+    );
+  }
+
+  return { kid, alg, privateKey, publicKey };
+};
+
+// Read every <kid>.pem file of JWT_KEYS_DIR; private keys can sign,
+// public keys only verify (e.g. retired keys kept during rotation)
+const readKeysDir = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".pem"))
+    .map((file) => {
+      const fullPath = path.join(dir, file);
+      const pem = fs.readFileSync(fullPath, "utf8");
+      const kid = path.basename(file, ".pem");
+      const keyObject = pem.includes("PRIVATE KEY")
+        ? crypto.createPrivateKey(pem)
+        : crypto.createPublicKey(pem);
+
+      return {
+        ...toKey(kid, keyObject),
+        modifiedAt: fs.statSync(fullPath).mtime,
+      };
+    });
+};
+
+// Throwaway key for development, so the server runs without setup
+const generateDevelopmentKey = () => {
+  const type = process.env.JWT_ALGORITHM === "EdDSA" ? "ed25519" : "rsa";
+  const { privateKey } = crypto.generateKeyPairSync(type, {
+    modulusLength: 2048,
+  });
+  const kid = `dev-${crypto.randomBytes(4).toString("hex")}`;
+
+  logger.warn(
+    `No JWT signing keys found, using temporary key ${kid}. Tokens will not survive a restart.`
+  );
+
+  return toKey(kid, privateKey);
+};
+
+const loadKeyring = () => {
+  const dir = path.resolve(process.env.JWT_KEYS_DIR || "keys");
+  const keys = readKeysDir(dir);
+  const signingKeys = keys.filter((key) => key.privateKey);
+
+  if (signingKeys.length === 0) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(`No JWT signing key found in ${dir}`);
+    }
+    keys.push(generateDevelopmentKey());
+    signingKeys.push(keys[keys.length - 1]);
+  }
+
+  // JWT_ACTIVE_KID picks the signing key, else the newest private key
+  const activeKid = process.env.JWT_ACTIVE_KID;
+  const signingKey = activeKid
+    ? signingKeys.find((key) => key.kid === activeKid)
+    : signingKeys.sort((a, b) => (b.modifiedAt || 0) - (a.modifiedAt || 0))[0];
+
+  if (!signingKey) {
+    throw new Error(`JWT_ACTIVE_KID ${activeKid} has no private key in ${dir}`);
+  }
+
+  return {
+    signingKey,
+    keys: new Map(keys.map((key) => [key.kid, key])),
+  };
+};
+
+const getKeyring = () => {
+  if (!keyring) keyring = loadKeyring();
+  return keyring;
+};
+
+/**
+ * Re-read the keys directory, e.g. after adding a key for rotation
+ */
+const reload = () => {
+  keyring = loadKeyring();
+};
+
+/**
+ * Sign a payload with the active key
+ * expiresIn is a time span such as "15m". typ sets the token type header;
+ * tokens that are not access tokens need their own so they can't pass
+ * for one.
+ */
+const sign = async (payload, { expiresIn, typ = "JWT" } = {}) => {
+  const { signingKey } = getKeyring();
+
+  const token = new jose.SignJWT(payload)
+    .setProtectedHeader({
+      alg: signingKey.alg,
+      kid: signingKey.kid,
+      typ,
+    })
+    .setIssuedAt();
+
+  if (expiresIn) token.setExpirationTime(expiresIn);
+  if (process.env.JWT_ISSUER) token.setIssuer(process.env.JWT_ISSUER);
+
+  return token.sign(signingKey.privateKey);
+};
+
+/**
+ * Verify a token against any known key, selected by its kid header.
+ * The typ header must match, so only access tokens verify by default.
+ * Failures are thrown as jsonwebtoken's JsonWebTokenError and
+ * TokenExpiredError, which callers already handle.
+ */
+const verify = async (token, { typ = "JWT" } = {}) => {
+  const { keys } = getKeyring();
+
+  try {
+    const { payload } = await jose.jwtVerify(
+      token,
+      (header) => {
+        const key = keys.get(header.kid);
+        if (!key || key.alg !== header.alg) {
+          throw new jwt.JsonWebTokenError("unknown signing key");
+        }
+        return key.publicKey;
+      },
+      {
+        algorithms: Object.values(ALGORITHMS),
+        issuer: process.env.JWT_ISSUER || undefined,
+        typ,
+      }
+    );
+
+    return payload;
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) throw error;
+
+    if (error.code === "ERR_JWT_EXPIRED") {
+      const { exp } = jose.decodeJwt(token);
+      throw new jwt.TokenExpiredError("jwt expired", new Date(exp * 1000));
+    }
+
+    throw new jwt.JsonWebTokenError(error.message);
+  }
+};
+
+/**
+ * Public keys in JWK Set format, for /.well-known/jwks.json
+ */
+const getJwks = () => {
+  const { keys } = getKeyring();
+
+  return {
+    keys: [...keys.values()].map((key) => ({
+      ...key.publicKey.export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    })),
+  };
+};
+
+module.exports = {
+  sign,
+  verify,
+  getJwks,
+  reload,
+};